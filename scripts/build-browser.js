@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Bundles the browser entry (src/browser.js) and every module it requires into
+// one ES module, dist/browser.mjs. Only relative requires are followed: a
+// require of anything else means Node.js-only code reached the browser build,
+// which fails it.
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const ENTRY = 'src/browser.js';
+const OUTPUT = 'dist/browser.mjs';
+const TYPES_OUTPUT = 'dist/browser.d.mts';
+// Statics of the entry's export that are also available as named exports
+const NAMED_EXPORTS = [
+    'LiveSentenceDetector',
+    'AudioSentenceDetectorError',
+    'AudioDecodeError',
+    'InvalidOptionError',
+    'AbortError',
+    'TimeoutError',
+    'createHeuristicVAD',
+    'createEnergyVAD',
+    'evaluate',
+    'generateTestAudio',
+    'formatSentences',
+    'parseSentences'
+];
+
+const REQUIRE_PATTERN = /require\((['"])([^'"]+)\1\)/g;
+
+function collectModules(entry) {
+    const modules = new Map();
+
+    const visit = file => {
+        if (modules.has(file)) return;
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const dependencies = {};
+        modules.set(file, { source, dependencies });
+
+        for (const [, , request] of source.matchAll(REQUIRE_PATTERN)) {
+            if (!request.startsWith('.')) {
+                throw new Error(`${file} requires '${request}', which is not available in the browser`);
+            }
+            const resolved = path.posix.join(path.posix.dirname(file), request);
+            dependencies[request] = resolved.endsWith('.js') ? resolved : `${resolved}.js`;
+            visit(dependencies[request]);
+        }
+    };
+
+    visit(entry);
+    return modules;
+}
+
+function bundle(entry) {
+    const definitions = [...collectModules(entry)].map(([file, { source, dependencies }]) => [
+        `${JSON.stringify(file)}: [function (module, exports, require) {`,
+        source.trimEnd(),
+        `}, ${JSON.stringify(dependencies)}]`
+    ].join('\n'));
+
+    return [
+        `// Generated from ${entry} by scripts/build-browser.js; do not edit.`,
+        'const definitions = {',
+        definitions.join(',\n'),
+        '};',
+        '',
+        'const cache = {};',
+        'function load(file) {',
+        '    if (!cache[file]) {',
+        '        const [define, dependencies] = definitions[file];',
+        '        cache[file] = { exports: {} };',
+        '        define(cache[file], cache[file].exports, request => load(dependencies[request]));',
+        '    }',
+        '    return cache[file].exports;',
+        '}',
+        '',
+        `const AudioSentenceDetector = load(${JSON.stringify(entry)});`,
+        '',
+        'export default AudioSentenceDetector;',
+        ...NAMED_EXPORTS.map(name => `export const ${name} = AudioSentenceDetector.${name};`),
+        ''
+    ].join('\n');
+}
+
+function build() {
+    fs.mkdirSync(path.join(ROOT, 'dist'), { recursive: true });
+    fs.writeFileSync(path.join(ROOT, OUTPUT), bundle(ENTRY));
+    fs.writeFileSync(path.join(ROOT, TYPES_OUTPUT), [
+        "export * from '../types/browser.mjs';",
+        "export { default } from '../types/browser.mjs';",
+        ''
+    ].join('\n'));
+    console.log(`Wrote ${OUTPUT} and ${TYPES_OUTPUT}`);
+}
+
+build();
@@ -0,0 +1,14 @@
+const { parentPort, workerData } = require('worker_threads');
+const AudioSentenceDetector = require('./index');
+const { analyzeFrameRange, columnBuffers } = require('./columns');
+
+const detector = new AudioSentenceDetector(workerData.options);
+
+parentPort.on('message', ({ samples, energy, sampleRate, frameCount }) => {
+    try {
+        const columns = analyzeFrameRange(detector, samples, sampleRate, frameCount, energy || samples);
+        parentPort.postMessage({ columns }, columnBuffers(columns));
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});
@@ -0,0 +1,91 @@
+const { InvalidOptionError } = require('./errors');
+const { resolveOptions } = require('./options');
+
+// Format version written by analyze(); segment() rejects analyses of any other
+const ANALYSIS_VERSION = 1;
+
+// Options the cached frame features and voice scores depend on. An analysis
+// fixes them; segment() can change every other option.
+const ANALYSIS_OPTIONS = [
+    'windowSize',
+    'hopSize',
+    'windowFunction',
+    'dcRemoval',
+    'highPassFrequency',
+    'preEmphasis',
+    'noiseReduction',
+    'noiseProfile',
+    'loudnessTarget',
+    'fundamentalFreqMin',
+    'fundamentalFreqMax',
+    'formantFreqRanges',
+    'voiceActivityThreshold',
+    'zeroCrossingRateThreshold',
+    'vadWeights',
+    'channelMode',
+    'channel'
+];
+
+// Optional columns and the option (if any) that needs each of them
+const FEATURE_COLUMNS = {
+    pitch: options => (options.speakerDetection ? 'speakerDetection' : null),
+    f0: options => (options.boundaryStrategy === 'prosody' ? 'boundaryStrategy' : null),
+    spectralFlatness: options => (options.soundClassification ? 'soundClassification' :
+        options.nonSpeech === 'exclude' ? 'nonSpeech' : null)
+};
+
+const toPlain = value => (ArrayBuffer.isView(value) ? Array.from(value) : value);
+
+function analysisOptions(options) {
+    const fixed = {};
+    for (const name of ANALYSIS_OPTIONS) {
+        fixed[name] = toPlain(options[name]);
+    }
+    return fixed;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(toPlain(a)) === JSON.stringify(toPlain(b));
+}
+
+// Options for segmenting `analysis`: the detector's own, with the ones the
+// analysis fixes taken from it and `overrides` on top
+function resolveSegmentOptions(analysis, detectorOptions, overrides = {}) {
+    if (!analysis || analysis.version !== ANALYSIS_VERSION || !Array.isArray(analysis.channels)) {
+        throw new TypeError(`segment() expects an analysis from analyze() (format version ${ANALYSIS_VERSION})`);
+    }
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new InvalidOptionError('options', overrides, 'an object');
+    }
+    if (overrides.preset !== undefined) {
+        throw new InvalidOptionError('preset', overrides.preset, null, 'segment() takes individual options, not a preset');
+    }
+    if (overrides.vad !== undefined) {
+        throw new InvalidOptionError('vad', overrides.vad, null, "Voice scores are part of the analysis; analyze() again to change 'vad'");
+    }
+
+    const options = resolveOptions({ ...detectorOptions, ...analysis.options, ...overrides });
+
+    for (const name of ANALYSIS_OPTIONS) {
+        if (!sameValue(options[name], analysis.options[name])) {
+            throw new InvalidOptionError(name, overrides[name], null, `'${name}' is fixed by the analysis; analyze() again to change it`);
+        }
+    }
+    if (options.refineBoundaries && options.allowGaps) {
+        throw new InvalidOptionError('refineBoundaries', true, null, 'refineBoundaries needs the audio, which an analysis does not keep');
+    }
+    for (const [column, neededBy] of Object.entries(FEATURE_COLUMNS)) {
+        const name = neededBy(options);
+        if (name && analysis.channels.some(channel => !channel[column])) {
+            throw new InvalidOptionError(name, options[name], null, `The analysis has no '${column}' values for '${name}'; analyze() with it enabled`);
+        }
+    }
+
+    return options;
+}
+
+module.exports = {
+    ANALYSIS_VERSION,
+    analysisOptions,
+    resolveSegmentOptions
+};
@@ -0,0 +1,52 @@
+const SentenceDetector = require('./detector');
+const LiveSentenceDetector = require('./live');
+const { AudioDecodeError } = require('./errors');
+
+// Rate encoded audio is decoded (and resampled) at when no audioContext is given
+const DECODE_SAMPLE_RATE = 44100;
+
+// Browser entry, bundled into dist/browser.mjs by scripts/build-browser.js.
+// Decodes with Web Audio and has no file output, Node.js streams or worker threads.
+class AudioSentenceDetector extends SentenceDetector {
+    async decodeAudio(buffer, options = {}) {
+        if (options.pcm) {
+            throw new AudioDecodeError('Raw PCM input is not supported in the browser; convert it to a Float32Array and use detectFromSamples()');
+        }
+
+        // decodeAudioData() detaches the buffer it is given, so it gets a copy
+        let data;
+        if (buffer instanceof ArrayBuffer) {
+            data = buffer.slice(0);
+        } else if (ArrayBuffer.isView(buffer)) {
+            data = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        } else {
+            throw new TypeError('Audio input must be an AudioBuffer, ArrayBuffer or typed array');
+        }
+
+        const context = options.audioContext || new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+        let audioBuffer;
+        try {
+            audioBuffer = await context.decodeAudioData(data);
+        } catch (error) {
+            throw new AudioDecodeError(`Could not decode audio: ${error.message}`);
+        }
+        return this.getAudioData(audioBuffer);
+    }
+
+    extractClips(audioData, sentences, options = {}) {
+        if (options.encode) {
+            throw new Error("The 'encode' option needs the Node.js build");
+        }
+        return super.extractClips(audioData, sentences, options);
+    }
+
+    // Starts detecting sentences in a MediaStream (e.g. from getUserMedia()) or an AudioNode
+    async createLiveDetector(source, options = {}) {
+        const live = new LiveSentenceDetector(this, options);
+        return live.start(source);
+    }
+}
+
+AudioSentenceDetector.LiveSentenceDetector = LiveSentenceDetector;
+
+module.exports = AudioSentenceDetector;
@@ -0,0 +1,209 @@
+// Labels every analysis frame as speech, music, noise or silence.
+//
+// Music is told apart from speech by what happens over the last second:
+// voiced speech glides in pitch and stops for consonants, while music holds
+// steady pitches (notes) with few interruptions and tends to a regular beat.
+// Noise is broadband: a flat spectrum without a harmonic structure.
+
+const SOUND_CLASSES = ['speech', 'music', 'noise', 'silence'];
+
+// Seconds of frames the music and noise decisions look back over
+const CONTEXT_DURATION = 1;
+// Seconds of onsets the beat regularity is measured over
+const RHYTHM_DURATION = 4;
+// Harmonicity above which a frame counts as pitched
+const HARMONIC_FRAME = 0.5;
+// Relative pitch change over STEADY_SPAN seconds that still counts as a held note
+const STEADY_PITCH = 0.02;
+const STEADY_SPAN = 0.1;
+// Rise in level (dB) over the previous frames that marks an onset, and the shortest gap between onsets
+const ONSET_RISE = 6;
+const ONSET_GAP = 0.1;
+const MUSIC_THRESHOLD = 0.65;
+// Unvoiced sound this soon after speech (seconds) is a consonant or breath, not noise
+const SPEECH_HANGOVER = 0.3;
+// Mean spectral flatness above which unpitched sound is noise
+const NOISE_FLATNESS = 0.3;
+// Seconds of music or noise before nonSpeech: 'exclude' cuts it out, and seconds
+// of other sound that end such a run. Speech is sometimes taken for music for
+// a second or so, and excluding that would cut sentences short.
+const MIN_NON_SPEECH_RUN = 1.5;
+const NON_SPEECH_RELEASE = 0.2;
+
+function usesSoundClassification(options) {
+    return options.soundClassification || options.nonSpeech === 'exclude';
+}
+
+function createSoundClassifier(sampleRate, hopSize) {
+    const frameDuration = hopSize / sampleRate;
+    const contextFrames = Math.max(2, Math.round(CONTEXT_DURATION / frameDuration));
+    const rhythmFrames = Math.max(2, Math.round(RHYTHM_DURATION / frameDuration));
+    const onsetGapFrames = Math.max(1, Math.round(ONSET_GAP / frameDuration));
+    const spanFrames = Math.max(1, Math.round(STEADY_SPAN / frameDuration));
+    const hangoverFrames = Math.round(SPEECH_HANGOVER / frameDuration);
+
+    const history = [];
+    const levels = [];
+    const onsets = [];
+    let frame = -1;
+    let lastSpeechFrame = -Infinity;
+
+    const isOnset = (level, isQuiet) => {
+        if (isQuiet || levels.length < 3) return false;
+        if (onsets.length > 0 && frame - onsets[onsets.length - 1] < onsetGapFrames) return false;
+        return level - Math.min(...levels.slice(-3)) >= ONSET_RISE;
+    };
+
+    const beatRegularity = () => {
+        if (onsets.length < 4) return 0;
+        const intervals = onsets.slice(1).map((onset, i) => onset - onsets[i]);
+        const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+        const variance = intervals.reduce((sum, interval) => sum + (interval - mean) * (interval - mean), 0) / intervals.length;
+        return Math.max(0, 1 - Math.sqrt(variance) / mean);
+    };
+
+    return {
+        // features: { rms, isQuiet, isVoice, spectralFlatness, harmonicity, harmonicPitch }
+        process(features) {
+            frame++;
+            const level = 20 * Math.log10(Math.max(features.rms, 1e-10));
+            const harmonic = !features.isQuiet && features.harmonicity >= HARMONIC_FRAME;
+
+            if (isOnset(level, features.isQuiet)) onsets.push(frame);
+            while (onsets.length > 0 && onsets[0] <= frame - rhythmFrames) onsets.shift();
+            levels.push(level);
+            if (levels.length > 3) levels.shift();
+
+            history.push({ quiet: features.isQuiet, harmonic, pitch: features.harmonicPitch, flatness: features.spectralFlatness });
+            if (history.length > contextFrames) history.shift();
+
+            const sounding = history.filter(h => !h.quiet);
+            let steadyPairs = 0;
+            let pitchedPairs = 0;
+            for (let i = spanFrames; i < history.length; i++) {
+                const earlier = history[i - spanFrames];
+                if (!history[i].harmonic || !earlier.harmonic) continue;
+                pitchedPairs++;
+                if (Math.abs(history[i].pitch - earlier.pitch) <= STEADY_PITCH * history[i].pitch) steadyPairs++;
+            }
+
+            // Sound has to fill most of the context before it can be called music
+            const continuity = sounding.filter(h => h.harmonic).length / history.length;
+            const stability = pitchedPairs > 0 ? steadyPairs / pitchedPairs : 0;
+            const musicScore = sounding.length * 2 >= history.length ?
+                0.5 * stability + 0.2 * beatRegularity() + 0.3 * continuity :
+                0;
+            const flatness = sounding.length > 0 ?
+                sounding.reduce((sum, h) => sum + h.flatness, 0) / sounding.length :
+                0;
+
+            const noisy = flatness > NOISE_FLATNESS && !harmonic;
+            let soundClass;
+            if (features.isQuiet) {
+                soundClass = 'silence';
+            } else if (musicScore >= MUSIC_THRESHOLD) {
+                soundClass = 'music';
+            } else if (!noisy && (features.isVoice || frame - lastSpeechFrame <= hangoverFrames)) {
+                soundClass = 'speech';
+            } else {
+                soundClass = 'noise';
+            }
+            if (soundClass === 'speech' && features.isVoice) {
+                lastSpeechFrame = frame;
+            }
+
+            return { soundClass, musicScore };
+        }
+    };
+}
+
+// Decides which frames nonSpeech: 'exclude' treats as silence: the music and
+// noise frames of runs lasting at least MIN_NON_SPEECH_RUN seconds. A run is
+// only known to be long enough once it has lasted that long, so the frame that
+// confirms it also reports where it started (reopenFrom).
+function createNonSpeechTracker(sampleRate, hopSize) {
+    const frameDuration = hopSize / sampleRate;
+    const minRunFrames = Math.max(1, Math.round(MIN_NON_SPEECH_RUN / frameDuration));
+    const releaseFrames = Math.max(1, Math.round(NON_SPEECH_RELEASE / frameDuration));
+
+    let frame = -1;
+    let runStart = null;
+    let lastNonSpeech = -Infinity;
+    let sustained = false;
+
+    return {
+        // First frame of a run that is not long enough yet, or null
+        get pendingStart() {
+            return sustained ? null : runStart;
+        },
+
+        process(soundClass) {
+            frame++;
+            const nonSpeech = soundClass === 'music' || soundClass === 'noise';
+            if (nonSpeech) {
+                if (runStart === null) runStart = frame;
+                lastNonSpeech = frame;
+            } else if (runStart !== null && frame - lastNonSpeech >= releaseFrames) {
+                runStart = null;
+                sustained = false;
+            }
+
+            const confirmed = !sustained && nonSpeech && frame - runStart + 1 >= minRunFrames;
+            if (confirmed) sustained = true;
+
+            return { excluded: sustained && nonSpeech, reopenFrom: confirmed ? runStart : null };
+        }
+    };
+}
+
+// Most frequent non-silent class among the frames starting inside [start, end)
+function majorityClass(frameClasses, start, end, frameDuration) {
+    const counts = {};
+    const first = Math.max(0, Math.ceil(start / frameDuration - 1e-9));
+    const last = Math.min(frameClasses.length, Math.ceil(end / frameDuration - 1e-9));
+    for (let i = first; i < last; i++) {
+        if (frameClasses[i] !== 'silence') {
+            counts[frameClasses[i]] = (counts[frameClasses[i]] || 0) + 1;
+        }
+    }
+
+    // Ties go to the class listed first in SOUND_CLASSES
+    return SOUND_CLASSES.reduce((best, soundClass) =>
+        (counts[soundClass] || 0) > (counts[best] || 0) ? soundClass : best, 'silence');
+}
+
+// Runs of frames with the same class; silence is left out and same-class runs
+// separated by less than mergeGap seconds are joined
+function buildSoundRegions(frameClasses, frameDuration, totalDuration, mergeGap) {
+    const regions = [];
+    let runStart = 0;
+
+    for (let i = 1; i <= frameClasses.length; i++) {
+        if (i < frameClasses.length && frameClasses[i] === frameClasses[runStart]) continue;
+
+        const type = frameClasses[runStart];
+        const start = runStart * frameDuration;
+        const end = Math.min(totalDuration, i * frameDuration);
+        runStart = i;
+        if (type === 'silence') continue;
+
+        const previous = regions[regions.length - 1];
+        if (previous && previous.type === type && start - previous.end < mergeGap) {
+            previous.end = end;
+            previous.duration = end - previous.start;
+        } else {
+            regions.push({ type, start, end, duration: end - start });
+        }
+    }
+
+    return regions;
+}
+
+module.exports = {
+    SOUND_CLASSES,
+    usesSoundClassification,
+    createSoundClassifier,
+    createNonSpeechTracker,
+    majorityClass,
+    buildSoundRegions
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const AudioSentenceDetector = require('./index');
+
+async function run({ file, outputBase, formats, outputExtensions, detectorOptions, pcm }) {
+    const detector = new AudioSentenceDetector(detectorOptions);
+    const buffer = await fs.promises.readFile(file);
+    const result = await detector.detect(buffer, pcm ? { pcm } : {});
+
+    // perChannel mode yields one sentence list per channel
+    const perChannel = detectorOptions.channelMode === 'perChannel';
+    const outputs = [];
+
+    for (const format of formats) {
+        if (perChannel && format !== 'json') {
+            for (let channel = 0; channel < result.length; channel++) {
+                const target = `${outputBase}.ch${channel}${outputExtensions[format]}`;
+                await fs.promises.writeFile(target, AudioSentenceDetector.formatSentences(result[channel], format));
+                outputs.push(target);
+            }
+            continue;
+        }
+
+        const target = `${outputBase}${outputExtensions[format]}`;
+        const content = perChannel ?
+            JSON.stringify(result, null, 2) + '\n' :
+            AudioSentenceDetector.formatSentences(result, format);
+        await fs.promises.writeFile(target, content);
+        outputs.push(target);
+    }
+
+    const sentences = perChannel ? result.reduce((sum, channel) => sum + channel.length, 0) : result.length;
+    return { file, ok: true, sentences, outputs };
+}
+
+run(workerData)
+    .then(result => parentPort.postMessage(result))
+    .catch(error => parentPort.postMessage({
+        file: workerData.file,
+        ok: false,
+        error: error.message,
+        errorName: error.name
+    }));
@@ -0,0 +1,419 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const AudioSentenceDetector = require('./index');
+
+const EXIT_OK = 0;
+const EXIT_FILES_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const AUDIO_EXTENSIONS = ['.wav', '.wave', '.mp3', '.ogg', '.flac', '.aac', '.m4a', '.pcm', '.raw'];
+
+const OUTPUT_EXTENSIONS = {
+    json: '.json',
+    srt: '.srt',
+    vtt: '.vtt',
+    audacity: '.labels.txt',
+    csv: '.csv',
+    edl: '.edl'
+};
+
+class UsageError extends Error {}
+
+function toKebabCase(name) {
+    return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// Every constructor option is available as a flag, typed by its default value,
+// except rules, which are functions
+function getDetectorDefaults() {
+    const { rules, ...options } = new AudioSentenceDetector().options;
+    return { ...options, debug: false };
+}
+
+function printHelp(stream = process.stdout) {
+    const defaults = getDetectorDefaults();
+    const optionLines = Object.keys(defaults).map(name => {
+        const value = defaults[name];
+        const flag = typeof value === 'boolean' ? `--[no-]${toKebabCase(name)}` : `--${toKebabCase(name)} <value>`;
+        return `  ${flag.padEnd(40)} default: ${JSON.stringify(value)}`;
+    });
+
+    stream.write([
+        'Usage: audio-sentence-detector [options] <file|directory|glob>...',
+        '',
+        'Detects sentences in audio files and writes the results next to each file.',
+        '',
+        'Output options:',
+        '  -f, --format <list>                      comma-separated: json, srt, vtt, audacity, csv, edl (default: json)',
+        '  -o, --output-dir <dir>                   write results here instead of next to the input files',
+        '  -j, --concurrency <n>                    files processed in parallel (default: number of CPUs)',
+        '  --pcm-sample-rate <hz>                   treat inputs as raw PCM with this sample rate',
+        '  --pcm-format <format>                    raw PCM sample format (default: f32le)',
+        '  --pcm-channels <n>                       raw PCM channel count (default: 1)',
+        `  --preset <name>                          start from a preset: ${Object.keys(AudioSentenceDetector.presets).join(', ')}`,
+        '  -q, --quiet                              only print the summary',
+        '  -h, --help                               show this help',
+        '  -v, --version                            show the version',
+        '',
+        'Detector options:',
+        ...optionLines,
+        '',
+        'Exit codes: 0 all files processed, 1 some files failed, 2 invalid usage.',
+        ''
+    ].join('\n'));
+}
+
+function parseValue(name, raw, defaultValue) {
+    if (typeof defaultValue === 'number') {
+        const value = Number(raw);
+        if (raw === undefined || raw === '' || isNaN(value)) {
+            throw new UsageError(`--${toKebabCase(name)} expects a number, got '${raw}'`);
+        }
+        return value;
+    }
+    if (Array.isArray(defaultValue) || defaultValue === null) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw new UsageError(`--${toKebabCase(name)} expects JSON, got '${raw}'`);
+        }
+    }
+    if (raw === undefined) {
+        throw new UsageError(`--${toKebabCase(name)} expects a value`);
+    }
+    return raw;
+}
+
+function parseArgs(argv) {
+    const defaults = getDetectorDefaults();
+    const args = {
+        inputs: [],
+        detectorOptions: {},
+        formats: ['json'],
+        outputDir: null,
+        concurrency: os.cpus().length,
+        pcm: null,
+        quiet: false,
+        help: false,
+        version: false
+    };
+    const pcm = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('-') || arg === '-') {
+            args.inputs.push(arg);
+            continue;
+        }
+        if (arg === '--') {
+            args.inputs.push(...argv.slice(i + 1));
+            break;
+        }
+
+        const [flag, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg];
+        const takeValue = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                args.help = true;
+                continue;
+            case '-v':
+            case '--version':
+                args.version = true;
+                continue;
+            case '-q':
+            case '--quiet':
+                args.quiet = true;
+                continue;
+            case '-f':
+            case '--format': {
+                const value = takeValue();
+                args.formats = String(value || '').split(',').map(format => format.trim()).filter(Boolean);
+                const unknown = args.formats.filter(format => !OUTPUT_EXTENSIONS[format]);
+                if (args.formats.length === 0 || unknown.length > 0) {
+                    throw new UsageError(`Unknown output format '${unknown[0] || value}'`);
+                }
+                continue;
+            }
+            case '-o':
+            case '--output-dir':
+                args.outputDir = takeValue();
+                if (!args.outputDir) throw new UsageError('--output-dir expects a directory');
+                continue;
+            case '-j':
+            case '--concurrency':
+                args.concurrency = parseValue('concurrency', takeValue(), 0);
+                if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+                    throw new UsageError('--concurrency expects a positive integer');
+                }
+                continue;
+            case '--pcm-sample-rate':
+                pcm.sampleRate = parseValue('pcmSampleRate', takeValue(), 0);
+                continue;
+            case '--pcm-format':
+                pcm.format = parseValue('pcmFormat', takeValue(), '');
+                continue;
+            case '--pcm-channels':
+                pcm.channels = parseValue('pcmChannels', takeValue(), 0);
+                continue;
+            case '--preset':
+                args.detectorOptions.preset = parseValue('preset', takeValue(), '');
+                continue;
+        }
+
+        const negated = flag.startsWith('--no-');
+        const name = toCamelCase(flag.replace(/^--(no-)?/, ''));
+        if (!(name in defaults)) {
+            throw new UsageError(`Unknown option '${flag}'`);
+        }
+
+        if (typeof defaults[name] === 'boolean') {
+            if (inlineValue !== undefined && (negated || (inlineValue !== 'true' && inlineValue !== 'false'))) {
+                throw new UsageError(negated ?
+                    `Option '${flag}' does not take a value` :
+                    `Option '${flag}' expects true or false, got '${inlineValue}'`);
+            }
+            args.detectorOptions[name] = inlineValue !== undefined ? inlineValue === 'true' : !negated;
+        } else if (negated) {
+            throw new UsageError(`Option '${flag}' cannot be negated`);
+        } else {
+            args.detectorOptions[name] = parseValue(name, takeValue(), defaults[name]);
+        }
+    }
+
+    // Invalid values and combinations are usage errors, not per-file failures
+    try {
+        new AudioSentenceDetector(args.detectorOptions);
+    } catch (error) {
+        if (!(error instanceof AudioSentenceDetector.InvalidOptionError)) throw error;
+        throw new UsageError(error.message);
+    }
+
+    if (Object.keys(pcm).length > 0) {
+        if (!pcm.sampleRate) throw new UsageError('--pcm-format and --pcm-channels need --pcm-sample-rate');
+        args.pcm = pcm;
+    }
+
+    return args;
+}
+
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // '**/' matches any number of directories, including none
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i++;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+async function walk(directory) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await walk(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function isAudioFile(file) {
+    return AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// Each matched file with the directory it was found from; below --output-dir,
+// results keep their path relative to that directory
+async function expandInputs(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+        if (/[*?]/.test(input)) {
+            // Walk from the deepest directory without wildcards
+            const normalized = input.split(path.sep).join('/');
+            const segments = normalized.split('/');
+            const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+            const base = segments.slice(0, firstWildcard).join('/') || '.';
+            const matcher = globToRegExp(normalized.replace(/^\.\//, ''));
+
+            if (!fs.existsSync(base)) continue;
+            for (const file of await walk(base)) {
+                const relative = file.split(path.sep).join('/').replace(/^\.\//, '');
+                if (matcher.test(relative)) files.push({ file, root: base });
+            }
+            continue;
+        }
+
+        const stat = await fs.promises.stat(input).catch(() => null);
+        if (stat && stat.isDirectory()) {
+            files.push(...(await walk(input)).filter(isAudioFile).map(file => ({ file, root: input })));
+        } else {
+            // Missing files are reported as failures later
+            files.push({ file: input, root: path.dirname(input) });
+        }
+    }
+
+    // A file matched by several inputs is processed once
+    const seen = new Set();
+    return files.filter(({ file }) => !seen.has(file) && seen.add(file));
+}
+
+function getOutputBase({ file, root }, outputDir) {
+    const name = path.basename(file, path.extname(file));
+    if (!outputDir) {
+        return path.join(path.dirname(file), name);
+    }
+    return path.join(outputDir, path.relative(root, path.dirname(file)), name);
+}
+
+function findOutputCollision(files, outputDir) {
+    // Inputs that only differ in their extension (or in a directory above the root) would overwrite each other's results
+    const owners = new Map();
+    for (const input of files) {
+        const base = getOutputBase(input, outputDir);
+        if (owners.has(base)) {
+            return `${owners.get(base)} and ${input.file} would both write ${base}.*`;
+        }
+        owners.set(base, input.file);
+    }
+    return null;
+}
+
+function runInWorker(task) {
+    return new Promise(resolve => {
+        const worker = new Worker(path.join(__dirname, 'cli-worker.js'), { workerData: task });
+        let settled = false;
+        const finish = result => {
+            if (!settled) {
+                settled = true;
+                resolve(result);
+            }
+        };
+
+        worker.once('message', finish);
+        worker.once('error', error => finish({ file: task.file, ok: false, error: error.message }));
+        worker.once('exit', code => finish({ file: task.file, ok: false, error: `Worker exited with code ${code}` }));
+    });
+}
+
+async function processFiles(files, args, onResult) {
+    const results = new Array(files.length);
+    let next = 0;
+
+    const runNext = async () => {
+        while (next < files.length) {
+            const i = next++;
+            results[i] = await runInWorker({
+                file: files[i].file,
+                outputBase: getOutputBase(files[i], args.outputDir),
+                formats: args.formats,
+                outputExtensions: OUTPUT_EXTENSIONS,
+                detectorOptions: args.detectorOptions,
+                pcm: args.pcm
+            });
+            onResult(results[i]);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(args.concurrency, files.length); i++) {
+        workers.push(runNext());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+async function main(argv, streams = { stdout: process.stdout, stderr: process.stderr }) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        streams.stderr.write(`audio-sentence-detector: ${error.message}\nRun with --help for usage.\n`);
+        return EXIT_USAGE;
+    }
+
+    if (args.help) {
+        printHelp(streams.stdout);
+        return EXIT_OK;
+    }
+    if (args.version) {
+        streams.stdout.write(`${require('../package.json').version}\n`);
+        return EXIT_OK;
+    }
+    if (args.inputs.length === 0) {
+        streams.stderr.write('audio-sentence-detector: no input files given\nRun with --help for usage.\n');
+        return EXIT_USAGE;
+    }
+
+    const files = await expandInputs(args.inputs);
+    if (files.length === 0) {
+        streams.stderr.write('audio-sentence-detector: no audio files matched the given inputs\n');
+        return EXIT_USAGE;
+    }
+    const collision = findOutputCollision(files, args.outputDir);
+    if (collision) {
+        streams.stderr.write(`audio-sentence-detector: ${collision}\n`);
+        return EXIT_USAGE;
+    }
+    if (args.outputDir) {
+        // Including the subdirectories results are kept in
+        for (const dir of new Set(files.map(input => path.dirname(getOutputBase(input, args.outputDir))))) {
+            await fs.promises.mkdir(dir, { recursive: true });
+        }
+    }
+
+    const results = await processFiles(files, args, result => {
+        if (args.quiet) return;
+        if (result.ok) {
+            streams.stdout.write(`${result.file}: ${result.sentences} sentences -> ${result.outputs.join(', ')}\n`);
+        } else {
+            streams.stderr.write(`${result.file}: FAILED: ${result.error}\n`);
+        }
+    });
+
+    const failed = results.filter(result => !result.ok);
+    streams.stderr.write(`\nProcessed ${results.length} files: ${results.length - failed.length} succeeded, ${failed.length} failed\n`);
+    for (const result of failed) {
+        streams.stderr.write(`  ${result.file}: ${result.error}\n`);
+    }
+
+    return failed.length > 0 ? EXIT_FILES_FAILED : EXIT_OK;
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    expandInputs,
+    globToRegExp,
+    UsageError,
+    EXIT_OK,
+    EXIT_FILES_FAILED,
+    EXIT_USAGE
+};
@@ -0,0 +1,115 @@
+const { estimatePitch } = require('./prosody');
+const { usesSoundClassification } = require('./classify');
+
+// Per-frame analysis results stored one typed array per feature, so they can be
+// moved between threads without copying.
+
+const CLASSIFICATION_COLUMNS = ['spectralFlatness', 'harmonicity', 'harmonicPitch'];
+// Columns only allocated when the options need them
+const OPTIONAL_COLUMNS = ['pitch', 'f0', ...CLASSIFICATION_COLUMNS];
+
+function createColumns(frameCount, options) {
+    const classify = usesSoundClassification(options);
+    return {
+        frameCount,
+        rms: new Float64Array(frameCount),
+        zcr: new Float64Array(frameCount),
+        spectralCentroid: new Float64Array(frameCount),
+        voiceBandEnergy: new Float64Array(frameCount),
+        formantCount: options.formantFreqRanges.length,
+        formantScores: new Float64Array(frameCount * options.formantFreqRanges.length),
+        pitch: options.speakerDetection ? new Float64Array(frameCount) : null,
+        f0: options.boundaryStrategy === 'prosody' ? new Float64Array(frameCount) : null,
+        spectralFlatness: classify ? new Float64Array(frameCount) : null,
+        harmonicity: classify ? new Float64Array(frameCount) : null,
+        harmonicPitch: classify ? new Float64Array(frameCount) : null
+    };
+}
+
+function columnBuffers(columns) {
+    return ['rms', 'zcr', 'spectralCentroid', 'voiceBandEnergy', 'formantScores', ...OPTIONAL_COLUMNS]
+        .filter(name => columns[name])
+        .map(name => columns[name].buffer);
+}
+
+// Analyses frameCount frames of `samples`, which starts at the first frame and
+// extends a window past the start of the last one. The energy is measured on
+// `energy`, the preprocessed samples over the same range.
+function analyzeFrameRange(detector, samples, sampleRate, frameCount, energy = samples) {
+    const { windowSize, hopSize, fundamentalFreqMin, fundamentalFreqMax } = detector.options;
+    const columns = createColumns(frameCount, detector.options);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const start = frame * hopSize;
+        const window = samples.subarray(start, Math.min(start + windowSize, samples.length));
+        const spectrum = detector.analyzeSpectrum(window, sampleRate);
+
+        columns.rms[frame] = detector.calculateRMS(energy.subarray(start, Math.min(start + windowSize, energy.length)));
+        columns.zcr[frame] = spectrum.zcr;
+        columns.spectralCentroid[frame] = spectrum.spectralCentroid;
+        columns.voiceBandEnergy[frame] = spectrum.voiceBandEnergy;
+        columns.formantScores.set(spectrum.formantScores, frame * columns.formantCount);
+        if (columns.pitch) {
+            columns.pitch[frame] = spectrum.pitch;
+        }
+        for (const name of CLASSIFICATION_COLUMNS) {
+            if (columns[name]) columns[name][frame] = spectrum[name];
+        }
+        if (columns.f0) {
+            // Whether the frame is voiced is only known later, so every frame gets an estimate
+            columns.f0[frame] = estimatePitch(window, sampleRate, fundamentalFreqMin, fundamentalFreqMax);
+        }
+    }
+
+    return columns;
+}
+
+function frameAnalysis(analysis, frame) {
+    const { formantCount } = analysis;
+    const spectrum = {
+        zcr: analysis.zcr[frame],
+        spectralCentroid: analysis.spectralCentroid[frame],
+        // slice() rather than subarray(), so deserialized analyses with plain arrays work too
+        formantScores: Array.from(analysis.formantScores.slice(frame * formantCount, (frame + 1) * formantCount)),
+        voiceBandEnergy: analysis.voiceBandEnergy[frame]
+    };
+    if (analysis.pitch) {
+        spectrum.pitch = analysis.pitch[frame];
+    }
+    if (analysis.f0) {
+        spectrum.f0 = analysis.f0[frame];
+    }
+    for (const name of CLASSIFICATION_COLUMNS) {
+        if (analysis[name]) spectrum[name] = analysis[name][frame];
+    }
+    if (analysis.voiceScore) {
+        spectrum.voiceScore = analysis.voiceScore[frame];
+    }
+
+    return { rms: analysis.rms[frame], spectrum };
+}
+
+function copyColumns(target, source, firstFrame) {
+    for (const name of ['rms', 'zcr', 'spectralCentroid', 'voiceBandEnergy', ...OPTIONAL_COLUMNS]) {
+        if (target[name]) target[name].set(source[name], firstFrame);
+    }
+    target.formantScores.set(source.formantScores, firstFrame * target.formantCount);
+}
+
+// Copies the columns into plain arrays, which JSON.stringify() keeps (typed arrays become objects)
+function toPlainColumns(columns) {
+    const plain = { frameCount: columns.frameCount, formantCount: columns.formantCount };
+    for (const name of ['rms', 'zcr', 'spectralCentroid', 'voiceBandEnergy', 'formantScores', 'voiceScore', ...OPTIONAL_COLUMNS]) {
+        plain[name] = columns[name] ? Array.from(columns[name]) : null;
+    }
+    return plain;
+}
+
+module.exports = {
+    createColumns,
+    copyColumns,
+    analyzeFrameRange,
+    columnBuffers,
+    frameAnalysis,
+    toPlainColumns
+};
@@ -0,0 +1,97 @@
+const { AbortError, TimeoutError } = require('./errors');
+
+// Wall-clock time between yields to the event loop while analysing, in milliseconds
+const YIELD_INTERVAL = 50;
+
+const nextTick = typeof setImmediate === 'function' ?
+    () => new Promise(resolve => setImmediate(resolve)) :
+    () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Cancellation, timeout and progress reporting for one detection run. Returns
+// null when none of signal, onProgress and timeout are given.
+function createControl(options = {}) {
+    const { signal, onProgress, timeout } = options;
+    if (!signal && !onProgress && !timeout) return null;
+
+    const deadline = timeout ? Date.now() + timeout : Infinity;
+    let lastYield = Date.now();
+    let lastFraction = -1;
+    let sectionOffset = 0;
+    let sectionSize = 1;
+
+    const abortError = () => {
+        if (signal && signal.aborted) {
+            return new AbortError('Detection was aborted', signal.reason);
+        }
+        if (Date.now() >= deadline) {
+            return new TimeoutError(timeout);
+        }
+        return null;
+    };
+
+    const control = {
+        throwIfAborted() {
+            const error = abortError();
+            if (error) throw error;
+        },
+
+        // Progress of channel `index` out of `count` is scaled into its share of the whole run
+        section(index, count) {
+            sectionOffset = index / count;
+            sectionSize = 1 / count;
+        },
+
+        report(fraction, currentTime) {
+            const overall = sectionOffset + Math.min(1, fraction) * sectionSize;
+            // Reported fractions only ever grow, even when a later stage starts over
+            if (onProgress && overall > lastFraction) {
+                lastFraction = overall;
+                onProgress(overall, currentTime);
+            }
+        },
+
+        shouldYield() {
+            return Date.now() - lastYield >= YIELD_INTERVAL;
+        },
+
+        async pause(fraction, currentTime) {
+            control.report(fraction, currentTime);
+            await nextTick();
+            lastYield = Date.now();
+            control.throwIfAborted();
+        },
+
+        // Calls back once when the signal aborts or the timeout expires; returns a cleanup function
+        onAbort(callback) {
+            const fire = () => callback(abortError() || new AbortError('Detection was aborted'));
+            const timer = timeout ? setTimeout(fire, Math.max(0, deadline - Date.now())) : null;
+            if (signal) signal.addEventListener('abort', fire, { once: true });
+
+            return () => {
+                if (timer) clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', fire);
+            };
+        },
+
+        // Settles with the first of the task and an abort, so a long decode cannot delay it
+        async run(task) {
+            control.throwIfAborted();
+            let dispose = null;
+            const aborted = new Promise((resolve, reject) => {
+                dispose = control.onAbort(reject);
+            });
+
+            try {
+                return await Promise.race([task(), aborted]);
+            } finally {
+                dispose();
+            }
+        }
+    };
+
+    return control;
+}
+
+module.exports = {
+    createControl
+};
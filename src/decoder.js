@@ -0,0 +1,226 @@
+const { AudioDecodeError } = require('./errors');
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_ALAW = 0x0006;
+const WAVE_FORMAT_MULAW = 0x0007;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Raw sample formats: bytes per sample and a reader returning a value in [-1, 1]
+const PCM_FORMATS = {
+    u8: { bytes: 1, read: (buf, o) => (buf.readUInt8(o) - 128) / 128 },
+    s8: { bytes: 1, read: (buf, o) => buf.readInt8(o) / 128 },
+    s16le: { bytes: 2, read: (buf, o) => buf.readInt16LE(o) / 32768 },
+    s16be: { bytes: 2, read: (buf, o) => buf.readInt16BE(o) / 32768 },
+    s24le: { bytes: 3, read: (buf, o) => buf.readIntLE(o, 3) / 8388608 },
+    s24be: { bytes: 3, read: (buf, o) => buf.readIntBE(o, 3) / 8388608 },
+    s32le: { bytes: 4, read: (buf, o) => buf.readInt32LE(o) / 2147483648 },
+    s32be: { bytes: 4, read: (buf, o) => buf.readInt32BE(o) / 2147483648 },
+    f32le: { bytes: 4, read: (buf, o) => buf.readFloatLE(o) },
+    f32be: { bytes: 4, read: (buf, o) => buf.readFloatBE(o) },
+    f64le: { bytes: 8, read: (buf, o) => buf.readDoubleLE(o) },
+    f64be: { bytes: 8, read: (buf, o) => buf.readDoubleBE(o) },
+    alaw: { bytes: 1, read: (buf, o) => decodeALaw(buf.readUInt8(o)) / 32768 },
+    mulaw: { bytes: 1, read: (buf, o) => decodeMuLaw(buf.readUInt8(o)) / 32768 }
+};
+
+function decodeALaw(value) {
+    value ^= 0x55;
+    const exponent = (value & 0x70) >> 4;
+    let sample = (value & 0x0f) << 4;
+    sample += exponent === 0 ? 8 : 0x108;
+    if (exponent > 1) {
+        sample <<= exponent - 1;
+    }
+    return value & 0x80 ? sample : -sample;
+}
+
+function decodeMuLaw(value) {
+    value = ~value & 0xff;
+    const exponent = (value & 0x70) >> 4;
+    const sample = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+    return value & 0x80 ? -sample : sample;
+}
+
+function malformedChunk(chunk, detail) {
+    return new AudioDecodeError(`Malformed '${chunk}' chunk: ${detail}`, chunk);
+}
+
+function toBuffer(buffer) {
+    if (Buffer.isBuffer(buffer)) return buffer;
+    if (buffer instanceof ArrayBuffer) return Buffer.from(buffer);
+    if (ArrayBuffer.isView(buffer)) return Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    throw new TypeError('Audio input must be a Buffer, ArrayBuffer or typed array');
+}
+
+function isWav(buffer) {
+    const data = toBuffer(buffer);
+    return data.length >= 4 && data.toString('ascii', 0, 4) === 'RIFF';
+}
+
+function deinterleave(data, offset, byteLength, channels, format) {
+    const { bytes, read } = PCM_FORMATS[format];
+    const frameSize = bytes * channels;
+    const frames = Math.floor(byteLength / frameSize);
+    const channelData = [];
+
+    for (let c = 0; c < channels; c++) {
+        channelData.push(new Float32Array(frames));
+    }
+
+    for (let i = 0; i < frames; i++) {
+        const frameOffset = offset + i * frameSize;
+        for (let c = 0; c < channels; c++) {
+            channelData[c][i] = read(data, frameOffset + c * bytes);
+        }
+    }
+
+    return channelData;
+}
+
+function parseFmtChunk(data, offset, size) {
+    if (size < 16) {
+        throw malformedChunk('fmt ', `expected at least 16 bytes, got ${size}`);
+    }
+
+    const fmt = {
+        audioFormat: data.readUInt16LE(offset),
+        channels: data.readUInt16LE(offset + 2),
+        sampleRate: data.readUInt32LE(offset + 4),
+        blockAlign: data.readUInt16LE(offset + 12),
+        bitsPerSample: data.readUInt16LE(offset + 14)
+    };
+
+    if (fmt.audioFormat === WAVE_FORMAT_EXTENSIBLE) {
+        if (size < 40) {
+            throw malformedChunk('fmt ', `WAVE_FORMAT_EXTENSIBLE needs 40 bytes, got ${size}`);
+        }
+        // The first two bytes of the SubFormat GUID hold the actual format code
+        fmt.audioFormat = data.readUInt16LE(offset + 24);
+    }
+
+    if (fmt.channels === 0) {
+        throw malformedChunk('fmt ', 'channel count is 0');
+    }
+    if (fmt.sampleRate === 0) {
+        throw malformedChunk('fmt ', 'sample rate is 0');
+    }
+
+    return fmt;
+}
+
+function getWavSampleFormat(fmt) {
+    // Samples are stored in containers of blockAlign / channels bytes
+    const containerBits = fmt.blockAlign > 0 ? (fmt.blockAlign / fmt.channels) * 8 : fmt.bitsPerSample;
+
+    switch (fmt.audioFormat) {
+        case WAVE_FORMAT_PCM:
+            if (containerBits === 8) return 'u8';
+            if (containerBits === 16) return 's16le';
+            if (containerBits === 24) return 's24le';
+            if (containerBits === 32) return 's32le';
+            break;
+        case WAVE_FORMAT_IEEE_FLOAT:
+            if (containerBits === 32) return 'f32le';
+            if (containerBits === 64) return 'f64le';
+            break;
+        case WAVE_FORMAT_ALAW:
+            if (containerBits === 8) return 'alaw';
+            break;
+        case WAVE_FORMAT_MULAW:
+            if (containerBits === 8) return 'mulaw';
+            break;
+        default:
+            throw malformedChunk('fmt ', `unsupported audio format 0x${fmt.audioFormat.toString(16)}`);
+    }
+
+    throw malformedChunk('fmt ', `unsupported sample size of ${containerBits} bits for format 0x${fmt.audioFormat.toString(16)}`);
+}
+
+function decodeWav(buffer) {
+    const data = toBuffer(buffer);
+
+    if (data.length < 12 || data.toString('ascii', 0, 4) !== 'RIFF') {
+        throw malformedChunk('RIFF', 'missing RIFF header');
+    }
+    if (data.toString('ascii', 8, 12) !== 'WAVE') {
+        throw malformedChunk('RIFF', `expected WAVE form type, got '${data.toString('ascii', 8, 12)}'`);
+    }
+
+    let fmt = null;
+    let dataOffset = -1;
+    let dataSize = 0;
+    let offset = 12;
+
+    // Chunks may appear in any order; unknown ones (LIST, fact, bext, ...) are skipped
+    while (offset + 8 <= data.length) {
+        const id = data.toString('ascii', offset, offset + 4);
+        let size = data.readUInt32LE(offset + 4);
+        const bodyOffset = offset + 8;
+        const remaining = data.length - bodyOffset;
+
+        if (id === 'data') {
+            // Files written by live recorders often leave the size unset or too large
+            if (size === 0 || size > remaining) {
+                size = remaining;
+            }
+            dataOffset = bodyOffset;
+            dataSize = size;
+        } else if (size > remaining) {
+            if (id === 'fmt ') {
+                throw malformedChunk(id, `declared size ${size} exceeds the ${remaining} bytes left in the file`);
+            }
+            break;
+        } else if (id === 'fmt ') {
+            fmt = parseFmtChunk(data, bodyOffset, size);
+        }
+
+        offset = bodyOffset + size + (size % 2);
+    }
+
+    if (!fmt) {
+        throw new AudioDecodeError(`Missing 'fmt ' chunk`, 'fmt ');
+    }
+    if (dataOffset < 0) {
+        throw new AudioDecodeError(`Missing 'data' chunk`, 'data');
+    }
+
+    const format = getWavSampleFormat(fmt);
+    const channelData = deinterleave(data, dataOffset, dataSize, fmt.channels, format);
+
+    return {
+        channels: fmt.channels,
+        sampleRate: fmt.sampleRate,
+        channelData
+    };
+}
+
+function decodePCM(buffer, options = {}) {
+    const data = toBuffer(buffer);
+    const format = options.format || 'f32le';
+    const channels = options.channels || 1;
+
+    if (!PCM_FORMATS[format]) {
+        throw new AudioDecodeError(`Unsupported PCM format '${format}'. Supported: ${Object.keys(PCM_FORMATS).join(', ')}`);
+    }
+    if (!options.sampleRate || options.sampleRate <= 0) {
+        throw new AudioDecodeError('Raw PCM input requires a positive sampleRate');
+    }
+    if (!Number.isInteger(channels) || channels < 1) {
+        throw new AudioDecodeError(`Invalid channel count ${channels}`);
+    }
+
+    return {
+        channels,
+        sampleRate: options.sampleRate,
+        channelData: deinterleave(data, 0, data.length, channels, format)
+    };
+}
+
+module.exports = {
+    PCM_FORMATS,
+    toBuffer,
+    isWav,
+    decodeWav,
+    decodePCM
+};
@@ -0,0 +1,1581 @@
+const { encodeWav } = require('./encoder');
+const { assignSpeakers } = require('./speakers');
+const formats = require('./formats');
+const { estimatePitch, scoreBoundary } = require('./prosody');
+const { createHeuristicVAD, createEnergyVAD, toVAD } = require('./vad');
+const { DEFAULT_OPTIONS, PRESETS, resolveOptions } = require('./options');
+const { createColumns, copyColumns, analyzeFrameRange, frameAnalysis, toPlainColumns } = require('./columns');
+const { ANALYSIS_VERSION, analysisOptions, resolveSegmentOptions } = require('./analysis');
+const { createPostProcessor } = require('./postprocess');
+const { AudioSentenceDetectorError, AudioDecodeError, InvalidOptionError, AbortError, TimeoutError } = require('./errors');
+const { createControl } = require('./control');
+const { hasPreprocessing, preprocess } = require('./preprocess');
+const { evaluate } = require('./evaluation');
+const { generateTestAudio } = require('./synth');
+const { usesSoundClassification, createSoundClassifier, createNonSpeechTracker, majorityClass, buildSoundRegions } = require('./classify');
+
+// Lowest noise floor the adaptive threshold may settle on (-100 dBFS)
+const MIN_NOISE_FLOOR = 1e-5;
+// Length of the energy envelope used to refine sentence boundaries, in seconds
+const REFINE_WINDOW = 0.005;
+// Silence (seconds) across which sound regions of the same class are joined
+const SOUND_REGION_MERGE_GAP = 0.3;
+// Smallest energy dip (dB below the median level) an over-long sentence is split at
+const MIN_DIP_DEPTH = 6;
+
+const WINDOW_FUNCTIONS = {
+    hamming: (i, n) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (n - 1)),
+    hann: (i, n) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)),
+    blackman: (i, n) => 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)) + 0.08 * Math.cos((4 * Math.PI * i) / (n - 1))
+};
+
+// Decoded audio as returned by Web Audio's decodeAudioData()
+function isAudioBuffer(value) {
+    return value !== null && typeof value === 'object' &&
+        typeof value.getChannelData === 'function' && typeof value.numberOfChannels === 'number';
+}
+
+function toChannelData(samples, sampleRate, method) {
+    const channelData = Array.isArray(samples) ? samples : [samples];
+    if (channelData.length === 0 || !channelData.every(channel => channel instanceof Float32Array)) {
+        throw new TypeError(`${method}() expects a Float32Array or an array of Float32Array channels`);
+    }
+    if (!sampleRate || sampleRate <= 0) {
+        throw new TypeError(`${method}() requires a positive sampleRate`);
+    }
+    return channelData;
+}
+
+// Position of the first element of an ascending array that is not below value
+function sortedIndex(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (sorted[middle] < value) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Platform-independent detection. The Node.js entry (index.js) and the browser
+// entry (browser.js) extend it with decoding and I/O for their environment.
+class SentenceDetector {
+    constructor(options = {}) {
+        this.options = resolveOptions(options);
+        this.debug = options.debug || false;
+        this.vad = options.vad !== undefined ? toVAD(options.vad) : createHeuristicVAD({
+            weights: this.options.vadWeights,
+            zeroCrossingRateThreshold: this.options.zeroCrossingRateThreshold,
+            voiceActivityThreshold: this.options.voiceActivityThreshold,
+            debug: this.debug
+        });
+        this.fftBuffers = {
+            real: null,
+            imag: null,
+            magnitudes: null,
+            window: null,
+            autoReal: null,
+            autoImag: null
+        };
+        this.voiceActivityBuffer = new Float32Array(1024);
+        this.memoizedFFT = new Map();
+    }
+
+    calculateZeroCrossingRate(buffer) {
+        let crossings = 0;
+        for (let i = 1; i < buffer.length; i++) {
+            if ((buffer[i] >= 0 && buffer[i - 1] < 0) || 
+                (buffer[i] < 0 && buffer[i - 1] >= 0)) {
+                crossings++;
+            }
+        }
+        return crossings / (buffer.length - 1);
+    }
+
+    calculateSpectralCentroid(magnitudes, sampleRate) {
+        let weightedSum = 0;
+        let sum = 0;
+        const freqResolution = sampleRate / (magnitudes.length * 2);
+        
+        for (let i = 0; i < magnitudes.length; i++) {
+            const frequency = i * freqResolution;
+            weightedSum += frequency * magnitudes[i];
+            sum += magnitudes[i];
+        }
+        
+        return sum === 0 ? 0 : weightedSum / sum;
+    }
+
+    detectFormants(magnitudes, sampleRate) {
+        const formantScores = this.options.formantFreqRanges.map(([min, max]) => {
+            let energy = 0;
+            const minBin = Math.floor(min / (sampleRate / magnitudes.length / 2));
+            const maxBin = Math.ceil(max / (sampleRate / magnitudes.length / 2));
+            
+            for (let i = minBin; i <= maxBin && i < magnitudes.length; i++) {
+                energy += magnitudes[i];
+            }
+            
+            return energy;
+        });
+        
+        const totalEnergy = magnitudes.reduce((sum, mag) => sum + mag, 0);
+        return formantScores.map(score => score / totalEnergy);
+    }
+
+    isVoiceSegment(buffer, sampleRate) {
+        return this.analyzeFrame(buffer, sampleRate).isVoice;
+    }
+
+    calculateRMS(buffer) {
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            sum += buffer[i] * buffer[i];
+        }
+        return Math.sqrt(sum / buffer.length);
+    }
+
+    analyzeSpectrum(buffer, sampleRate) {
+        // 1. Zero-crossing rate
+        const zcr = this.calculateZeroCrossingRate(buffer);
+        
+        // 2. Spektrální analýza
+        const magnitudes = this.performFFT(buffer);
+        const spectralCentroid = this.calculateSpectralCentroid(magnitudes, sampleRate);
+        
+        // 3. Detekce formantů
+        const formantScores = this.detectFormants(magnitudes, sampleRate);
+        
+        // 4. Energie v pásmech lidského hlasu
+        const voiceBandEnergy = this.calculateVoiceBandEnergy(magnitudes, sampleRate);
+
+        const spectrum = { zcr, spectralCentroid, formantScores, voiceBandEnergy };
+        if (this.options.speakerDetection) {
+            spectrum.pitch = estimatePitch(buffer, sampleRate, this.options.fundamentalFreqMin, this.options.fundamentalFreqMax);
+        }
+        if (usesSoundClassification(this.options)) {
+            spectrum.spectralFlatness = this.calculateSpectralFlatness(magnitudes);
+            Object.assign(spectrum, this.calculateHarmonicity(magnitudes, sampleRate));
+        }
+        return spectrum;
+    }
+
+    analyzeFrame(buffer, sampleRate, time = 0, rms = null, spectrum = this.analyzeSpectrum(buffer, sampleRate)) {
+        const { zcr, spectralCentroid, formantScores, voiceBandEnergy } = spectrum;
+
+        // 5. Pravděpodobnost přítomnosti hlasu z detektoru hlasové aktivity
+        // Analyses made by analyze() already hold the score
+        const voiceScore = spectrum.voiceScore !== undefined ? spectrum.voiceScore : this.vad.process({
+            samples: buffer,
+            sampleRate,
+            time,
+            rms: rms !== null ? rms : this.calculateRMS(buffer),
+            zcr,
+            spectralCentroid,
+            formantScores,
+            voiceBandEnergy
+        });
+        if (typeof voiceScore !== 'number' || isNaN(voiceScore)) {
+            throw new AudioSentenceDetectorError(`Voice activity detector '${this.vad.name || 'custom'}' returned ${voiceScore}, expected a probability`);
+        }
+
+        const frame = {
+            zcr,
+            spectralCentroid,
+            formantScores,
+            voiceBandEnergy,
+            voiceScore,
+            isVoice: voiceScore > this.options.vadThreshold
+        };
+
+        if (this.options.speakerDetection) {
+            frame.pitch = spectrum.pitch;
+        }
+        if (usesSoundClassification(this.options)) {
+            frame.spectralFlatness = spectrum.spectralFlatness;
+            frame.harmonicity = spectrum.harmonicity;
+            frame.harmonicPitch = spectrum.harmonicPitch;
+        }
+        if (this.options.boundaryStrategy === 'prosody') {
+            frame.f0 = 0;
+            if (frame.isVoice) {
+                // Parallel analysis estimates f0 for every frame up front
+                frame.f0 = spectrum.f0 !== undefined ?
+                    spectrum.f0 :
+                    estimatePitch(buffer, sampleRate, this.options.fundamentalFreqMin, this.options.fundamentalFreqMax);
+            }
+        }
+
+        return frame;
+    }
+
+    calculateSpectralFlatness(magnitudes) {
+        // Geometric over arithmetic mean of the power spectrum: 1 for white noise, near 0 for tones
+        let logSum = 0;
+        let sum = 0;
+        for (let i = 1; i < magnitudes.length; i++) {
+            const power = magnitudes[i] * magnitudes[i] + 1e-12;
+            logSum += Math.log(power);
+            sum += power;
+        }
+        const count = magnitudes.length - 1;
+        return count > 0 ? Math.exp(logSum / count) / (sum / count) : 0;
+    }
+
+    calculateHarmonicity(magnitudes, sampleRate) {
+        // Autocorrelation as the inverse FFT of the power spectrum
+        const n = magnitudes.length * 2;
+        if (!this.fftBuffers.autoReal || this.fftBuffers.autoReal.length !== n) {
+            this.fftBuffers.autoReal = new Float32Array(n);
+            this.fftBuffers.autoImag = new Float32Array(n);
+        }
+        const real = this.fftBuffers.autoReal;
+        const imag = this.fftBuffers.autoImag;
+        for (let i = 0; i < n; i++) {
+            const bin = i < magnitudes.length ? i : n - i;
+            real[i] = bin < magnitudes.length ? magnitudes[bin] * magnitudes[bin] : 0;
+            imag[i] = 0;
+        }
+        this.fftIterative(real, imag);
+        if (real[0] <= 0) return { harmonicity: 0, harmonicPitch: 0 };
+
+        // Strongest peak after the first zero crossing, within 50-1000 Hz
+        const minLag = Math.max(1, Math.floor(sampleRate / 1000));
+        const maxLag = Math.min(n / 2 - 1, Math.ceil(sampleRate / 50));
+        let lag = 1;
+        while (lag < maxLag && real[lag] > 0) lag++;
+
+        let bestLag = 0;
+        let best = 0;
+        for (lag = Math.max(lag, minLag); lag <= maxLag; lag++) {
+            if (real[lag] > best) {
+                best = real[lag];
+                bestLag = lag;
+            }
+        }
+
+        return {
+            harmonicity: best / real[0],
+            harmonicPitch: bestLag > 0 ? sampleRate / bestLag : 0
+        };
+    }
+
+    calculateVoiceBandEnergy(magnitudes, sampleRate) {
+        const freqResolution = sampleRate / (magnitudes.length * 2);
+        const voiceBandMax = Math.max(...this.options.formantFreqRanges.map(([, max]) => max));
+        let voiceBandEnergy = 0;
+        let totalEnergy = 0;
+        
+        for (let i = 0; i < magnitudes.length; i++) {
+            const frequency = i * freqResolution;
+            const magnitude = magnitudes[i];
+            
+            totalEnergy += magnitude;
+            
+            // Check if the frequency falls within the human voice range
+            if (frequency >= this.options.fundamentalFreqMin && 
+                frequency <= voiceBandMax) { // Up to the highest formant
+                
+                // Weighting based on the importance of frequencies for the human voice
+                let weight = 1.0;
+                
+                // Emphasize the fundamental frequency
+                if (frequency >= this.options.fundamentalFreqMin && 
+                    frequency <= this.options.fundamentalFreqMax) {
+                    weight = 2.0;
+                }
+                
+                // Highlighting formant areas
+                for (const [min, max] of this.options.formantFreqRanges) {
+                    if (frequency >= min && frequency <= max) {
+                        weight = 1.5;
+                        break;
+                    }
+                }
+                
+                voiceBandEnergy += magnitude * weight;
+            }
+        }
+        
+        return voiceBandEnergy / totalEnergy;
+    }
+
+    performFFT(buffer) {
+        const length = buffer.length;
+        // Zero-padding to the next power of two keeps fftIterative valid for any window size
+        const n = Math.pow(2, Math.ceil(Math.log2(Math.max(2, length))));
+
+        if (!this.fftBuffers.real || this.fftBuffers.real.length !== n) {
+            this.fftBuffers.real = new Float32Array(n);
+            this.fftBuffers.imag = new Float32Array(n);
+            this.fftBuffers.magnitudes = new Float32Array(n / 2);
+        }
+        if (!this.fftBuffers.window || this.fftBuffers.window.length !== length) {
+            const windowFunction = WINDOW_FUNCTIONS[this.options.windowFunction];
+            if (!windowFunction) {
+                throw new Error(`Unknown windowFunction '${this.options.windowFunction}'`);
+            }
+
+            // Precompute window function over the samples actually present
+            this.fftBuffers.window = new Float32Array(length);
+            for (let i = 0; i < length; i++) {
+                this.fftBuffers.window[i] = length > 1 ? windowFunction(i, length) : 1;
+            }
+        }
+
+        for (let i = 0; i < n; i++) {
+            this.fftBuffers.real[i] = i < length ? buffer[i] * this.fftBuffers.window[i] : 0;
+            this.fftBuffers.imag[i] = 0;
+        }
+
+        // In-place FFT
+        this.fftIterative(this.fftBuffers.real, this.fftBuffers.imag);
+        
+        for (let i = 0; i < n / 2; i++) {
+            this.fftBuffers.magnitudes[i] = Math.sqrt(
+                this.fftBuffers.real[i] * this.fftBuffers.real[i] + 
+                this.fftBuffers.imag[i] * this.fftBuffers.imag[i]
+            );
+        }
+        
+        return this.fftBuffers.magnitudes;
+    }
+
+    fftIterative(real, imag) {
+        const n = real.length;
+        
+        // Bit reversal
+        for (let i = 0; i < n; i++) {
+            const j = this.reverseBits(i, Math.log2(n));
+            if (j > i) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+        
+        // Butterfly operations
+        for (let size = 2; size <= n; size *= 2) {
+            const halfSize = size / 2;
+            const angle = -2 * Math.PI / size;
+            
+            for (let i = 0; i < n; i += size) {
+                for (let j = 0; j < halfSize; j++) {
+                    const tReal = real[i + j + halfSize] * Math.cos(angle * j) - 
+                                imag[i + j + halfSize] * Math.sin(angle * j);
+                    const tImag = real[i + j + halfSize] * Math.sin(angle * j) + 
+                                imag[i + j + halfSize] * Math.cos(angle * j);
+                    
+                    real[i + j + halfSize] = real[i + j] - tReal;
+                    imag[i + j + halfSize] = imag[i + j] - tImag;
+                    real[i + j] += tReal;
+                    imag[i + j] += tImag;
+                }
+            }
+        }
+    }
+
+    reverseBits(x, bits) {
+        let result = 0;
+        for (let i = 0; i < bits; i++) {
+            result = (result << 1) | (x & 1);
+            x >>= 1;
+        }
+        return result;
+    }
+
+    fft(real, imag) {
+        const n = real.length;
+        if (n <= 1) return;
+
+        const halfN = n / 2;
+        const evenReal = new Float32Array(halfN);
+        const evenImag = new Float32Array(halfN);
+        const oddReal = new Float32Array(halfN);
+        const oddImag = new Float32Array(halfN);
+
+        for (let i = 0; i < halfN; i++) {
+            evenReal[i] = real[i * 2];
+            evenImag[i] = imag[i * 2];
+            oddReal[i] = real[i * 2 + 1];
+            oddImag[i] = imag[i * 2 + 1];
+        }
+
+        this.fft(evenReal, evenImag);
+        this.fft(oddReal, oddImag);
+
+        for (let k = 0; k < halfN; k++) {
+            const theta = -2 * Math.PI * k / n;
+            const cosTheta = Math.cos(theta);
+            const sinTheta = Math.sin(theta);
+            
+            const tReal = oddReal[k] * cosTheta - oddImag[k] * sinTheta;
+            const tImag = oddReal[k] * sinTheta + oddImag[k] * cosTheta;
+
+            real[k] = evenReal[k] + tReal;
+            imag[k] = evenImag[k] + tImag;
+            real[k + halfN] = evenReal[k] - tReal;
+            imag[k + halfN] = evenImag[k] - tImag;
+        }
+    }
+
+    async detect(buffer, options = {}) {
+        const control = createControl(options);
+        try {
+            const run = async () => {
+                const audioData = await this.getAudioData(buffer, options);
+                return this.detectChannels(audioData.channelData, audioData.sampleRate, options, control);
+            };
+            return await (control ? control.run(run) : run());
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+
+    async split(buffer, options = {}) {
+        const control = createControl(options);
+        try {
+            const run = async () => {
+                const audioData = await this.getAudioData(buffer, options);
+                return { audioData, result: await this.detectChannels(audioData.channelData, audioData.sampleRate, {}, control) };
+            };
+            const { audioData, result } = await (control ? control.run(run) : run());
+
+            let clips;
+            if (this.options.channelMode === 'perChannel') {
+                // Each channel is cut by its own sentences
+                clips = result.flatMap((sentences, channel) => this.extractClips({
+                    channels: 1,
+                    sampleRate: audioData.sampleRate,
+                    channelData: [audioData.channelData[channel]]
+                }, sentences, options).map(clip => ({ ...clip, channel })));
+            } else {
+                clips = this.extractClips(audioData, result, options);
+            }
+
+            if (options.outputDir) {
+                await this.writeClips(clips, options);
+            }
+            return clips;
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+
+    extractClips(audioData, sentences, options = {}) {
+        const { sampleRate, channelData } = audioData;
+        const length = channelData[0].length;
+        const padBefore = options.padBefore || 0;
+        const padAfter = options.padAfter || 0;
+
+        return sentences.map(sentence => {
+            const startSample = Math.max(0, Math.floor((sentence.start - padBefore) * sampleRate));
+            const endSample = Math.min(length, Math.ceil((sentence.end + padAfter) * sampleRate));
+            const clipData = channelData.map(channel => {
+                const samples = channel.slice(startSample, Math.max(startSample, endSample));
+                this.applyFades(samples, sampleRate, options.fadeIn || 0, options.fadeOut || 0);
+                return samples;
+            });
+
+            const clip = {
+                index: sentence.index,
+                sentence,
+                start: startSample / sampleRate,
+                end: Math.max(startSample, endSample) / sampleRate,
+                duration: Math.max(0, endSample - startSample) / sampleRate,
+                sampleRate,
+                channels: clipData.length,
+                channelData: clipData
+            };
+
+            if (options.encode) {
+                clip.wav = encodeWav(clipData, sampleRate, options);
+            }
+            return clip;
+        });
+    }
+
+    applyFades(samples, sampleRate, fadeIn, fadeOut) {
+        // Linear ramps, never longer than half of the clip
+        const fadeInLength = Math.min(Math.floor(fadeIn * sampleRate), Math.floor(samples.length / 2));
+        const fadeOutLength = Math.min(Math.floor(fadeOut * sampleRate), Math.floor(samples.length / 2));
+
+        for (let i = 0; i < fadeInLength; i++) {
+            samples[i] *= i / fadeInLength;
+        }
+        for (let i = 0; i < fadeOutLength; i++) {
+            samples[samples.length - 1 - i] *= i / fadeOutLength;
+        }
+    }
+
+    async writeClips() {
+        throw new Error('Writing clips to disk needs the Node.js build');
+    }
+
+    wrapError(error) {
+        if (error instanceof AudioSentenceDetectorError) {
+            return error;
+        }
+        return new Error(`Error processing audio buffer: ${error.message}`);
+    }
+
+    async detectFromSamples(samples, sampleRate, options = {}) {
+        try {
+            const channelData = toChannelData(samples, sampleRate, 'detectFromSamples');
+            const control = createControl(options);
+            const run = () => this.detectChannels(channelData, sampleRate, options, control);
+            return await (control ? control.run(run) : run());
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+
+    // Caches what segmentation needs (frame features and voice scores) in a
+    // JSON-serializable object, so segment() can try other options quickly
+    async analyze(buffer, options = {}) {
+        const control = createControl(options);
+        try {
+            const run = async () => {
+                const audioData = await this.getAudioData(buffer, options);
+                return this.analyzeChannels(audioData.channelData, audioData.sampleRate, control);
+            };
+            return await (control ? control.run(run) : run());
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+
+    async analyzeFromSamples(samples, sampleRate, options = {}) {
+        try {
+            const channelData = toChannelData(samples, sampleRate, 'analyzeFromSamples');
+            const control = createControl(options);
+            const run = () => this.analyzeChannels(channelData, sampleRate, control);
+            return await (control ? control.run(run) : run());
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+
+    // Sentences of an analysed recording with `options` changed; gives what detect() would
+    segment(analysis, options = {}, resultOptions = {}) {
+        const settings = resolveSegmentOptions(analysis, this.options, options);
+        const detector = new this.constructor({ ...settings, vad: this.vad, debug: this.debug });
+        const results = analysis.channels.map(channel => detector.segmentChannel(channel, analysis.sampleRate, resultOptions));
+        return settings.channelMode === 'perChannel' ? results : results[0];
+    }
+
+    async detectChannels(channelData, sampleRate, options = {}, control = null) {
+        if (this.options.channelMode === 'perChannel') {
+            const results = [];
+            for (let channel = 0; channel < channelData.length; channel++) {
+                if (control) control.section(channel, channelData.length);
+                results.push(await this.detectSentences(channelData[channel], sampleRate, options, control));
+            }
+            return results;
+        }
+
+        return this.detectSentences(this.selectChannel(channelData), sampleRate, options, control);
+    }
+
+    selectChannel(channelData) {
+        switch (this.options.channelMode) {
+            case 'single': {
+                const channel = this.options.channel;
+                if (channel < 0 || channel >= channelData.length) {
+                    throw new Error(`Channel ${channel} does not exist (audio has ${channelData.length} channels)`);
+                }
+                return channelData[channel];
+            }
+            case 'mix':
+                return this.mixChannels(channelData);
+            case 'maxEnergy':
+                return this.findMaxEnergyChannel(channelData);
+            default:
+                throw new Error(`Unknown channelMode '${this.options.channelMode}'`);
+        }
+    }
+
+    mixChannels(channelData) {
+        if (channelData.length === 1) return channelData[0];
+
+        const length = Math.min(...channelData.map(channel => channel.length));
+        const mixed = new Float32Array(length);
+        for (const channel of channelData) {
+            for (let i = 0; i < length; i++) {
+                mixed[i] += channel[i] / channelData.length;
+            }
+        }
+        return mixed;
+    }
+
+    findMaxEnergyChannel(channelData) {
+        let bestChannel = channelData[0];
+        let bestEnergy = -1;
+
+        for (const channel of channelData) {
+            let energy = 0;
+            for (let i = 0; i < channel.length; i++) {
+                energy += channel[i] * channel[i];
+            }
+            if (energy > bestEnergy) {
+                bestEnergy = energy;
+                bestChannel = channel;
+            }
+        }
+
+        if (this.debug) {
+            console.log(`Using channel ${channelData.indexOf(bestChannel)} with the highest energy`);
+        }
+        return bestChannel;
+    }
+
+    async getAudioData(buffer, options = {}) {
+        if (isAudioBuffer(buffer)) {
+            const channelData = [];
+            for (let i = 0; i < buffer.numberOfChannels; i++) {
+                channelData.push(buffer.getChannelData(i));
+            }
+            return { channels: buffer.numberOfChannels, sampleRate: buffer.sampleRate, channelData };
+        }
+
+        return this.decodeAudio(buffer, options);
+    }
+
+    // Overridden by each platform with the decoders it has
+    async decodeAudio() {
+        throw new AudioDecodeError('Encoded audio cannot be decoded here; pass an AudioBuffer or use detectFromSamples()');
+    }
+
+    // Overridden where frames can be analysed on other threads
+    async analyzeFrames() {
+        return null;
+    }
+
+    async detectSentences(audioData, sampleRate, options = {}, control = null) {
+        if (this.debug) {
+            console.log(`Audio loaded: ${audioData.length} samples, ${sampleRate}Hz`);
+            console.log(`Audio duration: ${audioData.length / sampleRate} seconds`);
+        }
+
+        const energy = this.energySignal(audioData, sampleRate);
+
+        const silenceState = this.createSilenceState(sampleRate);
+        if (options.timeline) {
+            silenceState.timeline = [];
+        }
+
+        const analysis = await this.analyzeFrames(audioData, sampleRate, control, energy);
+
+        const silentRegions = await this.detectSilentRegions(audioData, sampleRate, silenceState, analysis, control, energy);
+        return this.buildSentences(silentRegions, silenceState, audioData.length, options, energy, control);
+    }
+
+    // The preprocessed samples, which only the frame energy (and boundary
+    // refinement) is measured on. Filters such as pre-emphasis reshape the
+    // spectrum, so the voice features keep seeing the recording as it is.
+    energySignal(audioData, sampleRate) {
+        return hasPreprocessing(this.options) ? preprocess(audioData, sampleRate, this.options) : audioData;
+    }
+
+    // Everything after the frame pass. samples is null when segmenting a cached
+    // analysis, which has no audio to refine boundaries on.
+    buildSentences(silentRegions, silenceState, length, options = {}, samples = null, control = null) {
+        const totalDuration = length / silenceState.sampleRate;
+        let silenceMarkers = silentRegions;
+        if (this.debug) {
+            console.log(`Found ${silenceMarkers.length} silent regions`);
+        }
+
+        if (this.options.boundaryStrategy === 'prosody') {
+            silenceMarkers = this.selectBoundaryRegions(silenceMarkers, silenceState);
+            if (this.debug) {
+                console.log(`Kept ${silenceMarkers.length} silent regions as sentence boundaries`);
+            }
+        }
+
+        let sentences = this.findSentenceBoundaries(silenceMarkers, totalDuration, silenceState);
+        if (this.debug) {
+            console.log(`Detected ${sentences.length} sentences`);
+        }
+
+        if (this.options.speakerDetection) {
+            if (control) control.throwIfAborted();
+            sentences = assignSpeakers(sentences, silenceState, this.options);
+            if (this.debug) {
+                console.log(`Split into ${sentences.length} speaker turns`);
+            }
+        }
+
+        // Boundaries in the middle of a gap have no energy crossing to snap to
+        if (this.options.refineBoundaries && this.options.allowGaps && samples) {
+            let previousEnd = 0;
+            for (const sentence of sentences) {
+                this.refineSentence(sentence, samples, 0, length, previousEnd, silenceState);
+                previousEnd = sentence.end;
+            }
+        }
+
+        if (this.options.alignToAudioBoundaries) {
+            if (sentences.length === 0) {
+                this.pushSentence(sentences, 0, totalDuration, null, silenceState);
+            } else {
+                if (sentences[0].start !== 0) {
+                    sentences[0].start = 0;
+                }
+
+                const lastSentence = sentences[sentences.length - 1];
+                lastSentence.end = totalDuration;
+                lastSentence.duration = lastSentence.end - lastSentence.start;
+            }
+        }
+
+        if (silenceState.classifier) {
+            for (const sentence of sentences) {
+                this.labelSoundClass(sentence, silenceState);
+            }
+        }
+
+        const postProcessor = createPostProcessor(this.options);
+        sentences = sentences
+            .map(sentence => postProcessor.process(sentence, totalDuration))
+            .filter(Boolean);
+
+        if (options.timeline || options.regions) {
+            const result = {
+                sentences,
+                silentRegions,
+                boundaryRegions: silenceMarkers
+            };
+            if (silenceState.classifier) {
+                result.soundRegions = this.getSoundRegions(silenceState, totalDuration);
+            }
+            if (options.timeline) {
+                result.timeline = silenceState.timeline;
+            }
+            return result;
+        }
+
+        return sentences;
+    }
+
+    async analyzeChannels(channelData, sampleRate, control = null) {
+        const perChannel = this.options.channelMode === 'perChannel';
+        const selected = perChannel ? channelData : [this.selectChannel(channelData)];
+        const channels = [];
+        for (let channel = 0; channel < selected.length; channel++) {
+            if (control && perChannel) control.section(channel, selected.length);
+            channels.push(await this.analyzeChannel(selected[channel], sampleRate, control));
+        }
+
+        return {
+            version: ANALYSIS_VERSION,
+            sampleRate,
+            options: analysisOptions(this.options),
+            channels
+        };
+    }
+
+    async analyzeChannel(audioData, sampleRate, control = null) {
+        const energy = this.energySignal(audioData, sampleRate);
+
+        const { windowSize, hopSize } = this.options;
+        const frameCount = Math.ceil(audioData.length / hopSize);
+        const parallel = await this.analyzeFrames(audioData, sampleRate, control, energy);
+        const columns = parallel || createColumns(frameCount, this.options);
+        const voiceScores = new Float64Array(frameCount);
+
+        // Voice activity detectors may keep state, so scoring runs here, frame by frame
+        if (typeof this.vad.reset === 'function') {
+            this.vad.reset();
+        }
+
+        const chunkFrames = Math.max(1, Math.round(sampleRate / hopSize));
+        for (let first = 0; first < frameCount; first += chunkFrames) {
+            if (control && control.shouldYield()) {
+                await control.pause(first / frameCount, first * hopSize / sampleRate);
+            }
+
+            const count = Math.min(chunkFrames, frameCount - first);
+            if (!parallel) {
+                const start = first * hopSize;
+                const end = Math.min(audioData.length, (first + count - 1) * hopSize + windowSize);
+                copyColumns(columns, analyzeFrameRange(this, audioData.subarray(start, end), sampleRate, count, energy.subarray(start, end)), first);
+            }
+
+            for (let frame = first; frame < first + count; frame++) {
+                const start = frame * hopSize;
+                const window = audioData.subarray(start, Math.min(start + windowSize, audioData.length));
+                const { rms, spectrum } = frameAnalysis(columns, frame);
+                voiceScores[frame] = this.analyzeFrame(window, sampleRate, start / sampleRate, rms, spectrum).voiceScore;
+            }
+        }
+
+        if (control) {
+            control.report(1, audioData.length / sampleRate);
+        }
+        return { length: audioData.length, ...toPlainColumns({ ...columns, voiceScore: voiceScores }) };
+    }
+
+    segmentChannel(channel, sampleRate, options = {}) {
+        const silenceState = this.createSilenceState(sampleRate);
+        if (options.timeline) {
+            silenceState.timeline = [];
+        }
+
+        for (let frame = 0; frame < channel.frameCount; frame++) {
+            this.processSilenceFrame(silenceState, null, frame * this.options.hopSize, frameAnalysis(channel, frame));
+        }
+        this.finishSilentRegions(silenceState, channel.length);
+
+        const silentRegions = this.mergeCloseRegions(silenceState.regions);
+        return this.buildSentences(silentRegions, silenceState, channel.length, options);
+    }
+
+    async detectSilentRegions(audioData, sampleRate, state = this.createSilenceState(sampleRate), analysis = null, control = null, energy = audioData) {
+        const { windowSize, hopSize } = this.options;
+
+        for (let i = 0, frame = 0; i < audioData.length; i += hopSize, frame++) {
+            // Yielding now and then lets an abort signal or timer fire
+            if (control && control.shouldYield()) {
+                await control.pause(i / audioData.length, i / sampleRate);
+            }
+
+            const windowEnd = Math.min(i + windowSize, audioData.length);
+            const precomputed = analysis ? frameAnalysis(analysis, frame) :
+                energy !== audioData ? { rms: this.calculateRMS(energy.subarray(i, windowEnd)) } :
+                null;
+            this.processSilenceFrame(state, audioData.subarray(i, windowEnd), i, precomputed);
+        }
+
+        this.finishSilentRegions(state, audioData.length);
+        if (control) {
+            control.report(1, audioData.length / sampleRate);
+        }
+        return this.mergeCloseRegions(state.regions);
+    }
+
+    createSilenceState(sampleRate) {
+        // Every detection run starts the voice activity detector afresh
+        if (typeof this.vad.reset === 'function') {
+            this.vad.reset();
+        }
+
+        return {
+            sampleRate,
+            // Buffer for smoothing voice detection
+            smoothingBufferSize: Math.floor(0.1 * sampleRate / this.options.hopSize), // 100ms buffer
+            voiceActivityBuffer: [],
+            currentSilenceStart: null,
+            maxRMSInSilence: 0,
+            regions: [],
+            // Per-frame statistics used for sentence probability scoring
+            frameRMS: [],
+            frameVoice: [],
+            frameFeatures: [],
+            frameF0: [],
+            // Adaptive noise floor tracking: recent frame energies in arrival order and sorted
+            noiseHistory: [],
+            sortedNoiseHistory: [],
+            noiseHistorySize: Math.max(1, Math.round(this.options.noiseFloorWindow * sampleRate / this.options.hopSize)),
+            noiseFloor: this.options.silenceThreshold,
+            aboveNoiseFloor: false,
+            frameNoiseFloor: [],
+            // Speech/music/noise/silence labels, only with sound classification
+            classifier: usesSoundClassification(this.options) ? createSoundClassifier(sampleRate, this.options.hopSize) : null,
+            frameClasses: [],
+            // Runs of music and noise long enough to be excluded, only with nonSpeech: 'exclude'
+            nonSpeech: this.options.nonSpeech === 'exclude' ? createNonSpeechTracker(sampleRate, this.options.hopSize) : null,
+            // Per-frame analysis records, only collected when a timeline is requested
+            timeline: null
+        };
+    }
+
+    processSilenceFrame(state, window, position, precomputed = null) {
+        const sampleRate = state.sampleRate;
+
+        // Calculation of RMS energy
+        const rms = precomputed ? precomputed.rms : this.calculateRMS(window);
+
+        // Voice detection in the current window
+        const features = precomputed ?
+            this.analyzeFrame(window, sampleRate, position / sampleRate, rms, precomputed.spectrum) :
+            this.analyzeFrame(window, sampleRate, position / sampleRate, rms);
+        const isVoice = features.isVoice;
+
+        state.frameRMS.push(rms);
+        state.frameVoice.push(isVoice);
+        if (this.options.speakerDetection) {
+            state.frameFeatures.push(isVoice ? features : null);
+        }
+        if (this.options.boundaryStrategy === 'prosody') {
+            state.frameF0.push(features.f0);
+        }
+
+        // Adding to the smoothing buffer
+        state.voiceActivityBuffer.push(isVoice);
+        if (state.voiceActivityBuffer.length > state.smoothingBufferSize) {
+            state.voiceActivityBuffer.shift();
+        }
+
+        // Smoothed voice detection
+        const voiceActivityRatio = state.voiceActivityBuffer.filter(v => v).length / state.voiceActivityBuffer.length;
+        const isSmoothedVoice = voiceActivityRatio > 0.6;
+
+        if (this.debug && position % (this.options.hopSize * 100) === 0) {
+            console.log(`Position ${(position / sampleRate).toFixed(4)}s, RMS: ${rms.toFixed(4)}, Voice: ${isSmoothedVoice}`);
+        }
+
+        const isQuiet = this.options.adaptiveThreshold ?
+            this.updateNoiseFloor(state, rms) :
+            rms < this.options.silenceThreshold;
+
+        let soundClass = null;
+        if (state.classifier) {
+            soundClass = state.classifier.process({
+                rms,
+                isQuiet,
+                isVoice: isSmoothedVoice,
+                spectralFlatness: features.spectralFlatness,
+                harmonicity: features.harmonicity,
+                harmonicPitch: features.harmonicPitch
+            }).soundClass;
+            state.frameClasses.push(soundClass);
+        }
+        // Sustained music and noise count as silence when they are kept out of sentences
+        let excluded = false;
+        if (state.nonSpeech) {
+            const run = state.nonSpeech.process(soundClass);
+            excluded = run.excluded;
+            if (run.reopenFrom !== null) {
+                this.reopenSilence(state, run.reopenFrom * this.options.hopSize);
+            }
+        }
+
+        // Detection of silence or absence of voice
+        if (!isSmoothedVoice || isQuiet || excluded) {
+            if (state.currentSilenceStart === null) {
+                state.currentSilenceStart = position;
+                state.maxRMSInSilence = rms;
+            } else {
+                state.maxRMSInSilence = Math.max(state.maxRMSInSilence, rms);
+            }
+        } else if (state.currentSilenceStart !== null) {
+            const silenceDuration = (position - state.currentSilenceStart) / sampleRate;
+            if (silenceDuration >= this.options.minSilenceDuration) {
+                state.regions.push({
+                    start: state.currentSilenceStart / sampleRate,
+                    end: position / sampleRate,
+                    duration: silenceDuration,
+                    avgRMS: state.maxRMSInSilence
+                });
+            }
+            state.currentSilenceStart = null;
+            state.maxRMSInSilence = 0;
+        }
+
+        if (state.timeline) {
+            this.recordTimelineFrame(state, position, rms, features, isSmoothedVoice, isQuiet, soundClass);
+        }
+    }
+
+    // Starts the open silence at `position` at the latest, taking back the
+    // silent regions that ended after it
+    reopenSilence(state, position) {
+        const { regions, sampleRate } = state;
+        let start = state.currentSilenceStart !== null ? Math.min(state.currentSilenceStart, position) : position;
+        let peak = state.currentSilenceStart !== null ? state.maxRMSInSilence : 0;
+
+        while (regions.length > 0 && regions[regions.length - 1].end * sampleRate > position) {
+            const region = regions.pop();
+            start = Math.min(start, Math.round(region.start * sampleRate));
+            peak = Math.max(peak, region.avgRMS);
+        }
+
+        const firstFrame = Math.floor(start / this.options.hopSize);
+        for (let i = firstFrame; i < state.frameRMS.length; i++) {
+            peak = Math.max(peak, state.frameRMS[i]);
+        }
+        state.currentSilenceStart = start;
+        state.maxRMSInSilence = peak;
+    }
+
+    recordTimelineFrame(state, position, rms, features, isSmoothedVoice, isQuiet, soundClass = null) {
+        const frame = {
+            time: position / state.sampleRate,
+            rms,
+            zcr: features.zcr,
+            spectralCentroid: features.spectralCentroid,
+            formantScores: features.formantScores,
+            voiceBandEnergy: features.voiceBandEnergy,
+            voiceScore: features.voiceScore,
+            isVoice: features.isVoice,
+            isSmoothedVoice,
+            isQuiet,
+            // Whether a silence is open after this frame (it becomes a region if long enough)
+            inSilence: state.currentSilenceStart !== null
+        };
+
+        if (this.options.adaptiveThreshold) {
+            frame.noiseFloor = state.noiseFloor;
+        }
+        if (features.f0 !== undefined) {
+            frame.f0 = features.f0;
+        }
+        if (features.pitch !== undefined) {
+            frame.pitch = features.pitch;
+        }
+        if (soundClass !== null) {
+            frame.spectralFlatness = features.spectralFlatness;
+            frame.harmonicity = features.harmonicity;
+            frame.soundClass = soundClass;
+        }
+
+        state.timeline.push(frame);
+    }
+
+    labelSoundClass(sentence, silenceState) {
+        const frameDuration = this.options.hopSize / silenceState.sampleRate;
+        sentence.soundClass = majorityClass(silenceState.frameClasses, sentence.start, sentence.end, frameDuration);
+    }
+
+    getSoundRegions(silenceState, totalDuration) {
+        const frameDuration = this.options.hopSize / silenceState.sampleRate;
+        return buildSoundRegions(silenceState.frameClasses, frameDuration, totalDuration, SOUND_REGION_MERGE_GAP);
+    }
+
+    getRefineMargins(silenceState) {
+        const { windowSize, hopSize } = this.options;
+        return {
+            // Smoothing delays the detected transition by up to smoothingBufferSize frames
+            before: windowSize + silenceState.smoothingBufferSize * hopSize,
+            after: windowSize,
+            envelope: Math.max(1, Math.round(REFINE_WINDOW * silenceState.sampleRate))
+        };
+    }
+
+    refineSentence(sentence, samples, offset, totalLength, minStart, silenceState) {
+        // samples holds the audio from sample `offset` on; totalLength is Infinity while streaming
+        const sampleRate = silenceState.sampleRate;
+        const margins = this.getRefineMargins(silenceState);
+        const available = offset + samples.length;
+        const startSample = Math.round(sentence.start * sampleRate);
+        const endSample = Math.round(sentence.end * sampleRate);
+        let start = startSample;
+        let end = endSample;
+
+        // Start: first sample where the envelope rises above the threshold after silence
+        if (startSample > 0) {
+            const from = Math.max(startSample - margins.before, Math.ceil(minStart * sampleRate), offset);
+            const to = Math.min(startSample + margins.after, endSample, available);
+            const envelope = this.calculateEnergyEnvelope(samples, from - offset, to - offset, margins.envelope);
+            const threshold = this.getRefineThreshold(silenceState, startSample, this.options.speechOnMargin);
+
+            if (envelope.length > 0 && envelope[0] < threshold) {
+                const onset = envelope.findIndex(value => value >= threshold);
+                if (onset > 0) start = from + onset;
+            }
+        }
+
+        // End: last sample above the threshold before the envelope falls back to silence
+        if (endSample < totalLength) {
+            const from = Math.max(endSample - margins.before, start + 1, offset);
+            const to = Math.min(endSample + margins.after, totalLength, available);
+            const envelope = this.calculateEnergyEnvelope(samples, from - offset, to - offset, margins.envelope);
+            const threshold = this.getRefineThreshold(silenceState, endSample, this.options.speechOffMargin);
+
+            if (envelope.length > 0 && envelope[envelope.length - 1] < threshold) {
+                let last = envelope.length - 1;
+                while (last >= 0 && envelope[last] < threshold) last--;
+                if (last >= 0) end = from + last + 1;
+            }
+        }
+
+        if (start !== startSample) sentence.start = start / sampleRate;
+        if (end !== endSample) sentence.end = end / sampleRate;
+        sentence.duration = sentence.end - sentence.start;
+        return sentence;
+    }
+
+    calculateEnergyEnvelope(samples, from, to, length) {
+        // Centered moving RMS for every sample in [from, to)
+        const half = Math.floor(length / 2);
+        const envelope = new Float32Array(Math.max(0, to - from));
+        let windowStart = Math.max(0, from - half);
+        let windowEnd = Math.max(windowStart, Math.min(samples.length, from + half + 1));
+        let sum = 0;
+        for (let i = windowStart; i < windowEnd; i++) sum += samples[i] * samples[i];
+
+        for (let i = from; i < to; i++) {
+            const nextStart = Math.max(0, i - half);
+            const nextEnd = Math.min(samples.length, i + half + 1);
+            while (windowEnd < nextEnd) {
+                sum += samples[windowEnd] * samples[windowEnd];
+                windowEnd++;
+            }
+            while (windowStart < nextStart) {
+                sum -= samples[windowStart] * samples[windowStart];
+                windowStart++;
+            }
+            envelope[i - from] = Math.sqrt(Math.max(0, sum) / (windowEnd - windowStart));
+        }
+
+        return envelope;
+    }
+
+    getRefineThreshold(silenceState, sample, margin) {
+        if (!this.options.adaptiveThreshold || silenceState.frameNoiseFloor.length === 0) {
+            return this.options.silenceThreshold;
+        }
+
+        const frame = Math.min(silenceState.frameNoiseFloor.length - 1, Math.floor(sample / this.options.hopSize));
+        return silenceState.frameNoiseFloor[frame] * Math.pow(10, margin / 20);
+    }
+
+    updateNoiseFloor(state, rms) {
+        const history = state.noiseHistory;
+        const sorted = state.sortedNoiseHistory;
+        history.push(rms);
+        sorted.splice(sortedIndex(sorted, rms), 0, rms);
+        if (history.length > state.noiseHistorySize) {
+            sorted.splice(sortedIndex(sorted, history.shift()), 1);
+        }
+
+        // Low percentile of recent frame energies, capped by silenceThreshold until the window fills
+        let floor = sorted[Math.floor((sorted.length - 1) * this.options.noiseFloorPercentile / 100)];
+        if (history.length < state.noiseHistorySize) {
+            floor = Math.min(floor, this.options.silenceThreshold);
+        }
+        state.noiseFloor = Math.max(floor, MIN_NOISE_FLOOR);
+        state.frameNoiseFloor.push(state.noiseFloor);
+
+        // Hysteresis: speech has to rise above the on margin and fall below the off margin
+        const margin = state.aboveNoiseFloor ? this.options.speechOffMargin : this.options.speechOnMargin;
+        state.aboveNoiseFloor = rms >= state.noiseFloor * Math.pow(10, margin / 20);
+
+        return !state.aboveNoiseFloor;
+    }
+
+    finishSilentRegions(state, totalLength) {
+        // Processing the last region
+        if (state.currentSilenceStart !== null) {
+            const silenceDuration = (totalLength - state.currentSilenceStart) / state.sampleRate;
+            if (silenceDuration >= this.options.minSilenceDuration) {
+                state.regions.push({
+                    start: state.currentSilenceStart / state.sampleRate,
+                    end: totalLength / state.sampleRate,
+                    duration: silenceDuration,
+                    avgRMS: state.maxRMSInSilence
+                });
+            }
+            state.currentSilenceStart = null;
+        }
+
+        return state.regions;
+    }
+
+    selectBoundaryRegions(regions, silenceState) {
+        if (this.options.boundaryStrategy !== 'prosody') return regions;
+
+        // Pauses without falling intonation or energy decay are treated as hesitations
+        return regions
+            .map(region => ({ ...region, boundaryScore: scoreBoundary(region, silenceState, this.options) }))
+            .filter(region => region.boundaryScore >= this.options.prosodyThreshold);
+    }
+
+    mergeCloseRegions(regions) {
+        if (regions.length < 2) return regions;
+        
+        const mergedRegions = [];
+        let currentRegion = regions[0];
+        
+        for (let i = 1; i < regions.length; i++) {
+            const nextRegion = regions[i];
+            const gap = nextRegion.start - currentRegion.end;
+            
+            // Regions closer together than regionMergeGap become one
+            if (gap < this.options.regionMergeGap) {
+                currentRegion = {
+                    start: currentRegion.start,
+                    end: nextRegion.end,
+                    duration: nextRegion.end - currentRegion.start,
+                    avgRMS: (currentRegion.avgRMS + nextRegion.avgRMS) / 2
+                };
+            } else {
+                mergedRegions.push(currentRegion);
+                currentRegion = nextRegion;
+            }
+        }
+        
+        mergedRegions.push(currentRegion);
+        return mergedRegions;
+    }
+
+    findSentenceBoundaries(silentRegions, totalDuration, silenceState) {
+        let sentences = [];
+        let lastEnd = 0;
+
+        for (let i = 0; i < silentRegions.length; i++) {
+            lastEnd = this.addSentencesBeforeRegion(sentences, lastEnd, silentRegions[i], silentRegions[i + 1] || null, silenceState);
+        }
+
+        this.addTrailingSentence(sentences, lastEnd, totalDuration, silenceState);
+
+        if (this.options.minSegmentLength > 0) {
+            sentences = this.mergeShortSegments(sentences);
+        }
+
+        if (this.options.minProbability > 0) {
+            sentences = sentences.filter(sentence => this.meetsMinProbability(sentence));
+        }
+
+        return sentences;
+    }
+
+    meetsMinProbability(sentence) {
+        return sentence.probability >= this.options.minProbability;
+    }
+
+    pushSentence(sentences, start, end, silentRegion, silenceState) {
+        const sentence = {
+            index: sentences.length,
+            start: start,
+            end: end,
+            duration: end - start
+        };
+        sentence.probability = this.calculateSentenceProbability(sentence, silenceState, silentRegion);
+        if (this.options.adaptiveThreshold) {
+            sentence.noiseFloor = this.getNoiseFloor(sentence, silenceState);
+        }
+        sentences.push(sentence);
+        return sentence;
+    }
+
+    getNoiseFloor(sentence, silenceState) {
+        const { sampleRate, frameNoiseFloor } = silenceState;
+        const hopSize = this.options.hopSize;
+        const firstFrame = Math.floor(sentence.start * sampleRate / hopSize);
+        const lastFrame = Math.max(firstFrame + 1, Math.ceil(sentence.end * sampleRate / hopSize));
+        const floors = frameNoiseFloor.slice(firstFrame, lastFrame);
+
+        if (floors.length === 0) return silenceState.noiseFloor;
+        return floors.reduce((sum, floor) => sum + floor, 0) / floors.length;
+    }
+
+    addSentencesBeforeRegion(sentences, lastEnd, region, nextRegion, silenceState) {
+        const sentenceDuration = region.start - lastEnd;
+
+        // minSentenceLength may be 0, but there is no sentence before a silence at the start
+        if (sentenceDuration > 0 && sentenceDuration >= this.options.minSentenceLength &&
+            sentenceDuration <= this.options.maxSentenceLength) {
+            let segmentEnd = region.start;
+            
+            if (!this.options.allowGaps && nextRegion) {
+                const gapMiddle = (region.end + nextRegion.start) / 2;
+                segmentEnd = gapMiddle;
+            }
+
+            this.pushSentence(sentences, lastEnd, segmentEnd, region, silenceState);
+        } else if (sentenceDuration > this.options.maxSentenceLength) {
+            const bounds = [lastEnd, ...this.findSplitPoints(lastEnd, region.start, silenceState)];
+            bounds.push(!this.options.allowGaps && nextRegion ? (region.end + nextRegion.start) / 2 : region.start);
+
+            for (let j = 0; j < bounds.length - 1; j++) {
+                // Only the last part is bounded by a real silence
+                const boundary = j === bounds.length - 2 ? region : null;
+                this.pushSentence(sentences, bounds[j], bounds[j + 1], boundary, silenceState);
+            }
+        }
+
+        if (this.options.allowGaps || !nextRegion) {
+            return region.end;
+        }
+        return (region.end + nextRegion.start) / 2;
+    }
+
+    findSplitPoints(start, end, silenceState) {
+        const maxLength = this.options.maxSentenceLength;
+        if (end - start <= maxLength) return [];
+
+        const cut = this.findBestCut(start, end, silenceState);
+        if (cut === null) {
+            // No usable dip: equal parts
+            const numParts = Math.ceil((end - start) / maxLength);
+            const partDuration = (end - start) / numParts;
+            return Array.from({ length: numParts - 1 }, (_, j) => start + (j + 1) * partDuration);
+        }
+
+        return [
+            ...this.findSplitPoints(start, cut, silenceState),
+            cut,
+            ...this.findSplitPoints(cut, end, silenceState)
+        ];
+    }
+
+    findBestCut(start, end, silenceState) {
+        const { sampleRate, frameRMS, frameVoice, frameNoiseFloor } = silenceState;
+        const { hopSize, windowSize, maxSentenceLength, minSentenceLength, idealSentenceLength, idealSilenceDuration } = this.options;
+        const frameDuration = hopSize / sampleRate;
+        const centerOffset = windowSize / 2 / sampleRate;
+        const timeOf = frame => frame * frameDuration + centerOffset;
+
+        // Both parts keep at least minSentenceLength, and never less than a frame so recursion ends
+        const minPart = Math.min(Math.max(minSentenceLength, frameDuration), (end - start) / 2);
+        const firstFrame = Math.max(0, Math.ceil((start + minPart - centerOffset) / frameDuration));
+        const lastFrame = Math.min(frameRMS.length - 1, Math.floor((end - minPart - centerOffset) / frameDuration));
+        if (lastFrame <= firstFrame) return null;
+
+        const levels = frameRMS.slice(firstFrame, lastFrame + 1).map(rms => 20 * Math.log10(Math.max(rms, 1e-6)));
+        const reference = levels.slice().sort((a, b) => a - b)[Math.floor(levels.length / 2)]; // median dB
+
+        const isQuiet = frame => {
+            const threshold = this.options.adaptiveThreshold && frameNoiseFloor.length > frame ?
+                frameNoiseFloor[frame] * Math.pow(10, this.options.speechOnMargin / 20) :
+                this.options.silenceThreshold;
+            return !frameVoice[frame] || frameRMS[frame] < threshold;
+        };
+
+        // Length of the run of quiet frames each frame belongs to
+        const pauseFrames = new Array(levels.length).fill(0);
+        for (let i = 0; i < levels.length;) {
+            if (!isQuiet(firstFrame + i)) {
+                i++;
+                continue;
+            }
+            let runEnd = i;
+            while (runEnd < levels.length && isQuiet(firstFrame + runEnd)) runEnd++;
+            pauseFrames.fill(runEnd - i, i, runEnd);
+            i = runEnd;
+        }
+
+        const lengthScore = duration => {
+            // A part that is still too long is judged by the parts it will be split into
+            const partLength = duration / Math.ceil(duration / maxSentenceLength);
+            const ratio = (partLength - idealSentenceLength) / idealSentenceLength;
+            return Math.exp(-ratio * ratio);
+        };
+
+        let best = null;
+        let bestScore = -Infinity;
+        for (let i = 0; i < levels.length; i++) {
+            const depthScore = Math.min(1, Math.max(0, (reference - levels[i]) / 20));
+            const pauseScore = Math.min(1, pauseFrames[i] * frameDuration / idealSilenceDuration);
+            // Without a pause or a dip of at least MIN_DIP_DEPTH dB there is nothing to cut at
+            if (pauseScore === 0 && reference - levels[i] < MIN_DIP_DEPTH) continue;
+
+            const time = timeOf(firstFrame + i);
+            const score = 0.4 * depthScore + 0.4 * pauseScore +
+                0.2 * (lengthScore(time - start) + lengthScore(end - time)) / 2;
+            if (score > bestScore) {
+                bestScore = score;
+                best = time;
+            }
+        }
+
+        return best;
+    }
+
+    addTrailingSentence(sentences, lastEnd, totalDuration, silenceState) {
+        if (lastEnd < totalDuration) {
+            const remainingDuration = totalDuration - lastEnd;
+            if (remainingDuration >= this.options.minSentenceLength) {
+                // Speech running to the end (or audio without any silence) is split like any other overlong span
+                const bounds = [lastEnd, ...this.findSplitPoints(lastEnd, totalDuration, silenceState), totalDuration];
+                for (let j = 0; j < bounds.length - 1; j++) {
+                    this.pushSentence(sentences, bounds[j], bounds[j + 1], null, silenceState);
+                }
+            }
+        }
+    }
+
+    calculateSentenceProbability(sentence, silenceState, silentRegion) {
+        const { sampleRate, frameRMS, frameVoice } = silenceState;
+        const hopSize = this.options.hopSize;
+        const firstFrame = Math.floor(sentence.start * sampleRate / hopSize);
+        const lastFrame = Math.max(firstFrame + 1, Math.ceil(sentence.end * sampleRate / hopSize));
+        const rmsValues = frameRMS.slice(firstFrame, lastFrame);
+        const voiceFlags = frameVoice.slice(firstFrame, lastFrame);
+
+        if (rmsValues.length === 0) return 0;
+
+        const meanRMS = rmsValues.reduce((sum, rms) => sum + rms, 0) / rmsValues.length;
+
+        // 1. Depth and length of the bounding silence
+        let silenceScore;
+        if (silentRegion) {
+            const depthScore = meanRMS > 0 ? Math.max(0, 1 - silentRegion.avgRMS / meanRMS) : 0;
+            const durationScore = Math.min(1, silentRegion.duration / this.options.idealSilenceDuration);
+            silenceScore = 0.5 * depthScore + 0.5 * durationScore;
+        } else {
+            // End of the audio is a natural boundary, a forced split is not
+            const totalDuration = frameRMS.length * hopSize / sampleRate;
+            silenceScore = sentence.end >= totalDuration - hopSize / sampleRate ? 1 : 0;
+        }
+
+        // 2. Share of frames classified as voice
+        const voiceScore = voiceFlags.filter(v => v).length / voiceFlags.length;
+
+        // 3. Shape of the energy contour
+        const contourScore = this.calculateEnergyContour(rmsValues);
+
+        // 4. Closeness to the ideal sentence length
+        const lengthRatio = (sentence.duration - this.options.idealSentenceLength) / this.options.idealSentenceLength;
+        const lengthScore = Math.exp(-lengthRatio * lengthRatio);
+
+        const weights = [0.35, 0.35, 0.2, 0.1]; // silence, voice, contour, length
+        const probability = (
+            silenceScore * weights[0] +
+            voiceScore * weights[1] +
+            contourScore * weights[2] +
+            lengthScore * weights[3]
+        );
+
+        return Math.min(1, Math.max(0, probability));
+    }
+
+    calculateEnergyContour(rmsValues) {
+        if (rmsValues.length < 3) return 0.5;
+
+        const mean = rmsValues.reduce((sum, rms) => sum + rms, 0) / rmsValues.length;
+        if (mean === 0) return 0;
+
+        // Speech energy fluctuates with syllables, steady tones and hum do not
+        const variance = rmsValues.reduce((sum, rms) => sum + (rms - mean) * (rms - mean), 0) / rmsValues.length;
+        const modulationScore = Math.min(1, Math.sqrt(variance) / mean / 0.5);
+
+        // Sentences tend to trail off towards the end
+        const tailLength = Math.ceil(rmsValues.length / 5);
+        const body = rmsValues.slice(0, rmsValues.length - tailLength);
+        const tail = rmsValues.slice(rmsValues.length - tailLength);
+        const bodyMean = body.reduce((sum, rms) => sum + rms, 0) / body.length;
+        const tailMean = tail.reduce((sum, rms) => sum + rms, 0) / tail.length;
+        const decayScore = tailMean <= bodyMean ? 1 : bodyMean / tailMean;
+
+        return 0.6 * modulationScore + 0.4 * decayScore;
+    }
+
+    mergeShortSegments(sentences) {
+        const state = this.createShortSegmentState();
+        for (const segment of sentences) {
+            this.addShortSegment(state, segment);
+        }
+        this.flushShortSegments(state);
+
+        return state.merged;
+    }
+
+    createShortSegmentState() {
+        // lastGroup holds the segments the last merged entry was made of
+        return { merged: [], segmentsToMerge: [], lastGroup: [] };
+    }
+
+    addShortSegment(state, segment) {
+        if (state.segmentsToMerge.length === 0) {
+            state.segmentsToMerge.push(segment);
+            return;
+        }
+
+        const currentDuration = state.segmentsToMerge.reduce((sum, seg) => sum + seg.duration, 0);
+        
+        if (segment.end - state.segmentsToMerge[0].start > this.options.maxSentenceLength) {
+            // Merging never makes a segment longer than maxSentenceLength
+            this.closeShortSegmentGroup(state);
+            state.segmentsToMerge = [segment];
+        } else if (currentDuration + segment.duration <= this.options.minSegmentLength) {
+            // Přidáme segment do skupiny pro spojení
+            state.segmentsToMerge.push(segment);
+        } else if (currentDuration >= this.options.minSegmentLength) {
+            // Současná skupina splňuje minimální délku
+            this.pushSegmentGroup(state, state.segmentsToMerge);
+            state.segmentsToMerge = [segment];
+        } else {
+            // Současná skupina je příliš krátká, spojíme ji s následujícím segmentem
+            state.segmentsToMerge.push(segment);
+            this.pushSegmentGroup(state, state.segmentsToMerge);
+            state.segmentsToMerge = [];
+        }
+    }
+
+    flushShortSegments(state) {
+        // Zpracování zbývajících segmentů
+        if (state.segmentsToMerge.length > 0) {
+            this.closeShortSegmentGroup(state);
+        }
+
+        return state.merged;
+    }
+
+    pushSegmentGroup(state, segments) {
+        state.merged.push(this.mergeSegmentGroup(segments));
+        state.lastGroup = segments;
+    }
+
+    closeShortSegmentGroup(state) {
+        // A group that cannot grow forward and is still too short joins the
+        // previous merged segment, if that stays within maxSentenceLength
+        const group = state.segmentsToMerge;
+        const duration = group.reduce((sum, seg) => sum + seg.duration, 0);
+        const lastGroup = state.lastGroup;
+        const end = group[group.length - 1].end;
+
+        if (duration < this.options.minSegmentLength && lastGroup.length > 0 &&
+            end - lastGroup[0].start <= this.options.maxSentenceLength) {
+            state.lastGroup = [...lastGroup, ...group];
+            state.merged[state.merged.length - 1] = this.mergeSegmentGroup(state.lastGroup);
+        } else if (end - group[0].start < this.options.minSegmentLength) {
+            // Nothing to merge it with: dropped, like sentences below minSentenceLength
+            state.lastGroup = [];
+        } else {
+            this.pushSegmentGroup(state, group);
+        }
+        state.segmentsToMerge = [];
+    }
+
+    mergeSegmentGroup(segments) {
+        if (segments.length === 0) return null;
+        if (segments.length === 1) return segments[0];
+
+        const start = segments[0].start;
+        const end = segments[segments.length - 1].end;
+        const duration = end - start;
+
+        // Duration-weighted confidence of the merged parts
+        const totalDuration = segments.reduce((sum, seg) => sum + seg.duration, 0);
+        const probability = totalDuration > 0 ?
+            segments.reduce((sum, seg) => sum + seg.probability * seg.duration, 0) / totalDuration :
+            segments[segments.length - 1].probability;
+
+        const merged = {
+            index: segments[0].index,
+            start: start,
+            end: end,
+            duration: duration,
+            probability: probability
+        };
+
+        if (segments[0].noiseFloor !== undefined) {
+            merged.noiseFloor = totalDuration > 0 ?
+                segments.reduce((sum, seg) => sum + seg.noiseFloor * seg.duration, 0) / totalDuration :
+                segments[segments.length - 1].noiseFloor;
+        }
+
+        return merged;
+    }
+}
+
+SentenceDetector.AudioSentenceDetectorError = AudioSentenceDetectorError;
+SentenceDetector.AudioDecodeError = AudioDecodeError;
+SentenceDetector.InvalidOptionError = InvalidOptionError;
+SentenceDetector.AbortError = AbortError;
+SentenceDetector.TimeoutError = TimeoutError;
+SentenceDetector.createHeuristicVAD = createHeuristicVAD;
+SentenceDetector.createEnergyVAD = createEnergyVAD;
+SentenceDetector.evaluate = evaluate;
+SentenceDetector.generateTestAudio = generateTestAudio;
+SentenceDetector.defaults = DEFAULT_OPTIONS;
+SentenceDetector.presets = PRESETS;
+Object.assign(SentenceDetector, formats);
+
+module.exports = SentenceDetector;
\ No newline at end of file
@@ -0,0 +1,59 @@
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+
+// Sample writers for the supported output bit depths
+const SAMPLE_WRITERS = {
+    8: { format: WAVE_FORMAT_PCM, write: (buf, v, o) => buf.writeUInt8(Math.round(v * 127) + 128, o) },
+    16: { format: WAVE_FORMAT_PCM, write: (buf, v, o) => buf.writeInt16LE(Math.round(v * 32767), o) },
+    24: { format: WAVE_FORMAT_PCM, write: (buf, v, o) => buf.writeIntLE(Math.round(v * 8388607), o, 3) },
+    32: { format: WAVE_FORMAT_IEEE_FLOAT, write: (buf, v, o) => buf.writeFloatLE(v, o) }
+};
+
+function encodeWav(channelData, sampleRate, options = {}) {
+    const bitDepth = options.bitDepth || 16;
+    const writer = SAMPLE_WRITERS[bitDepth];
+    if (!writer) {
+        throw new Error(`Unsupported WAV bit depth ${bitDepth}. Supported: ${Object.keys(SAMPLE_WRITERS).join(', ')}`);
+    }
+
+    const channels = channelData.length;
+    const frames = channels > 0 ? channelData[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = frames * blockAlign;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(writer.format, 20);
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * blockAlign, 28);
+    buffer.writeUInt16LE(blockAlign, 32);
+    buffer.writeUInt16LE(bitDepth, 34);
+
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+            // Integer formats clip, float keeps the original values
+            const sample = writer.format === WAVE_FORMAT_PCM ?
+                Math.max(-1, Math.min(1, channelData[c][i])) :
+                channelData[c][i];
+            writer.write(buffer, sample, offset);
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+module.exports = {
+    encodeWav
+};
@@ -0,0 +1,54 @@
+class AudioSentenceDetectorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+class AudioDecodeError extends AudioSentenceDetectorError {
+    constructor(message, chunk = null) {
+        super(message);
+        // RIFF chunk id the error was found in, e.g. 'fmt ' or 'data'
+        this.chunk = chunk;
+    }
+}
+
+class InvalidOptionError extends AudioSentenceDetectorError {
+    constructor(option, value, expected, message = null) {
+        super(message || `Invalid option '${option}': expected ${expected}, got ${describeValue(value)}`);
+        this.option = option;
+        this.value = value;
+    }
+}
+
+function describeValue(value) {
+    if (typeof value === 'function') return 'a function';
+    try {
+        return JSON.stringify(value) || String(value);
+    } catch (error) {
+        return String(value);
+    }
+}
+
+class AbortError extends AudioSentenceDetectorError {
+    constructor(message, reason) {
+        super(message);
+        // Value passed to AbortController.abort(), if any
+        this.reason = reason;
+    }
+}
+
+class TimeoutError extends AbortError {
+    constructor(timeout) {
+        super(`Detection timed out after ${timeout} ms`);
+        this.timeout = timeout;
+    }
+}
+
+module.exports = {
+    AudioSentenceDetectorError,
+    AudioDecodeError,
+    InvalidOptionError,
+    AbortError,
+    TimeoutError
+};
@@ -0,0 +1,154 @@
+const DEFAULT_TOLERANCE = 0.2; // seconds
+
+// Accepts detect() output in any shape: an array, a timeline result, or one of either per channel
+function toSegments(result, name) {
+    if (result && !Array.isArray(result) && Array.isArray(result.sentences)) {
+        return toSegments(result.sentences, name);
+    }
+    if (!Array.isArray(result)) {
+        throw new TypeError(`${name} must be an array of segments`);
+    }
+    if (result.length > 0 && (Array.isArray(result[0]) || Array.isArray(result[0].sentences))) {
+        throw new TypeError(`${name} holds one result per channel; evaluate each channel separately`);
+    }
+
+    return result
+        .map((segment, i) => {
+            if (typeof segment.start !== 'number' || typeof segment.end !== 'number') {
+                throw new TypeError(`${name}[${i}] needs numeric start and end`);
+            }
+            return { start: segment.start, end: segment.end };
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+function overlap(a, b) {
+    return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+// One-to-one matching, closest pairs first
+function matchBoundaries(detected, reference, tolerance) {
+    const pairs = [];
+    for (let i = 0; i < detected.length; i++) {
+        for (let j = 0; j < reference.length; j++) {
+            const distance = Math.abs(detected[i] - reference[j]);
+            if (distance <= tolerance) pairs.push({ i, j, distance });
+        }
+    }
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const usedDetected = new Set();
+    const usedReference = new Set();
+    let errorSum = 0;
+    for (const { i, j, distance } of pairs) {
+        if (usedDetected.has(i) || usedReference.has(j)) continue;
+        usedDetected.add(i);
+        usedReference.add(j);
+        errorSum += distance;
+    }
+
+    const matched = usedDetected.size;
+    const precision = detected.length > 0 ? matched / detected.length : (reference.length === 0 ? 1 : 0);
+    const recall = reference.length > 0 ? matched / reference.length : (detected.length === 0 ? 1 : 0);
+    return {
+        precision,
+        recall,
+        f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+        matched,
+        detected: detected.length,
+        reference: reference.length,
+        meanError: matched > 0 ? errorSum / matched : 0
+    };
+}
+
+function totalDuration(segments) {
+    // Merged first so overlapping segments are not counted twice
+    let total = 0;
+    let end = -Infinity;
+    for (const segment of segments) {
+        if (segment.end <= end) continue;
+        total += segment.end - Math.max(segment.start, end);
+        end = segment.end;
+    }
+    return total;
+}
+
+function intersectionDuration(a, b) {
+    let total = 0;
+    for (const x of a) {
+        for (const y of b) total += overlap(x, y);
+    }
+    return total;
+}
+
+// Scores detected segments against reference segments. Boundaries (every start
+// and end) match within `tolerance` seconds. Segments that overlap by more than
+// the tolerance count as covering each other.
+function evaluate(detected, reference, options = {}) {
+    const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE;
+    const detectedSegments = toSegments(detected, 'detected');
+    const referenceSegments = toSegments(reference, 'reference');
+    const boundaries = segments => segments.reduce((all, s) => all.concat(s.start, s.end), []);
+
+    const covering = (segment, others) => others.filter(other => overlap(segment, other) > tolerance);
+    const bestIoU = segment => detectedSegments.reduce((best, other) => {
+        const intersection = overlap(segment, other);
+        const union = (segment.end - segment.start) + (other.end - other.start) - intersection;
+        return union > 0 ? Math.max(best, intersection / union) : best;
+    }, 0);
+
+    let overSegmented = 0;
+    let extraSegments = 0;
+    let missed = 0;
+    for (const segment of referenceSegments) {
+        const count = covering(segment, detectedSegments).length;
+        if (count === 0) missed++;
+        if (count > 1) {
+            overSegmented++;
+            extraSegments += count - 1;
+        }
+    }
+
+    let underSegmented = 0;
+    let mergedSegments = 0;
+    let falseAlarms = 0;
+    for (const segment of detectedSegments) {
+        const count = covering(segment, referenceSegments).length;
+        if (count === 0) falseAlarms++;
+        if (count > 1) {
+            underSegmented++;
+            mergedSegments += count - 1;
+        }
+    }
+
+    // Mean over reference segments of the IoU with the best-matching detected segment
+    const meanIoU = referenceSegments.length > 0 ?
+        referenceSegments.reduce((sum, segment) => sum + bestIoU(segment), 0) / referenceSegments.length :
+        (detectedSegments.length === 0 ? 1 : 0);
+
+    const intersection = intersectionDuration(detectedSegments, referenceSegments);
+    const union = totalDuration(detectedSegments) + totalDuration(referenceSegments) - intersection;
+
+    return {
+        tolerance,
+        boundaries: matchBoundaries(boundaries(detectedSegments), boundaries(referenceSegments), tolerance),
+        starts: matchBoundaries(detectedSegments.map(s => s.start), referenceSegments.map(s => s.start), tolerance),
+        ends: matchBoundaries(detectedSegments.map(s => s.end), referenceSegments.map(s => s.end), tolerance),
+        meanIoU,
+        speechIoU: union > 0 ? intersection / union : 1,
+        segments: {
+            detected: detectedSegments.length,
+            reference: referenceSegments.length,
+            missed,
+            falseAlarms,
+            overSegmented,
+            extraSegments,
+            underSegmented,
+            mergedSegments
+        }
+    };
+}
+
+module.exports = {
+    evaluate
+};
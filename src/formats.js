@@ -0,0 +1,374 @@
+const DEFAULT_PRECISION = 3;
+const DEFAULT_FRAME_RATE = 25;
+
+function roundTime(seconds, precision = DEFAULT_PRECISION) {
+    const factor = Math.pow(10, precision);
+    return Math.round(seconds * factor) / factor;
+}
+
+function cueText(sentence, position, text) {
+    if (typeof text === 'function') return String(text(sentence, position));
+    if (!text) return '';
+
+    // Placeholders: {index} (sentence index), {number} (1-based position), {speaker}
+    return text
+        .replace(/\{index\}/g, sentence.index)
+        .replace(/\{number\}/g, position + 1)
+        .replace(/\{speaker\}/g, sentence.speaker || '');
+}
+
+function toSentence(index, start, end, text) {
+    // Rounded to drop floating point noise from the subtraction
+    const sentence = { index, start, end, duration: roundTime(end - start, 6) };
+    if (text) sentence.text = text;
+    return sentence;
+}
+
+function formatClock(seconds, precision, separator) {
+    const totalMs = Math.round(roundTime(seconds, Math.min(precision, 3)) * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+        `${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+function parseClock(value) {
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?$/.exec(value.trim());
+    if (!match) {
+        throw new Error(`Invalid timestamp '${value.trim()}'`);
+    }
+
+    const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+function splitBlocks(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n{2,}/)
+        .map(block => block.trim())
+        .filter(block => block.length > 0);
+}
+
+// SRT
+
+function formatSRT(sentences, options = {}) {
+    const precision = options.precision !== undefined ? options.precision : DEFAULT_PRECISION;
+
+    return sentences.map((sentence, i) => [
+        i + 1,
+        `${formatClock(sentence.start, precision, ',')} --> ${formatClock(sentence.end, precision, ',')}`,
+        cueText(sentence, i, options.text)
+    ].join('\n') + '\n').join('\n');
+}
+
+function parseSRT(text) {
+    return splitBlocks(text).map((block, i) => {
+        const lines = block.split('\n');
+        const timingLine = lines.findIndex(line => line.includes('-->'));
+        if (timingLine === -1) {
+            throw new Error(`SRT cue ${i + 1} has no timing line`);
+        }
+
+        const [start, end] = lines[timingLine].split('-->').map(part => parseClock(part));
+        return toSentence(i, start, end, lines.slice(timingLine + 1).join('\n'));
+    });
+}
+
+// WebVTT
+
+function formatVTT(sentences, options = {}) {
+    const precision = options.precision !== undefined ? options.precision : DEFAULT_PRECISION;
+    const cues = sentences.map((sentence, i) => {
+        const lines = [`${formatClock(sentence.start, precision, '.')} --> ${formatClock(sentence.end, precision, '.')}`];
+        const body = cueText(sentence, i, options.text);
+        if (body) lines.push(body);
+        return lines.join('\n') + '\n';
+    });
+
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+function parseVTT(text) {
+    const blocks = splitBlocks(text);
+    if (blocks.length === 0 || !blocks[0].startsWith('WEBVTT')) {
+        throw new Error('WebVTT input must start with a WEBVTT header');
+    }
+
+    return blocks
+        .slice(1)
+        .filter(block => block.includes('-->'))
+        .map((block, i) => {
+            const lines = block.split('\n');
+            const timingLine = lines.findIndex(line => line.includes('-->'));
+            const [start, end] = lines[timingLine].split('-->').map(part => parseClock(part.trim().split(/\s+/)[0]));
+            return toSentence(i, start, end, lines.slice(timingLine + 1).join('\n'));
+        });
+}
+
+// Audacity label track
+
+function formatAudacityLabels(sentences, options = {}) {
+    const precision = options.precision !== undefined ? options.precision : 6;
+
+    return sentences.map((sentence, i) => [
+        roundTime(sentence.start, precision).toFixed(precision),
+        roundTime(sentence.end, precision).toFixed(precision),
+        cueText(sentence, i, options.text)
+    ].join('\t') + '\n').join('');
+}
+
+function parseAudacityLabels(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        // Lines starting with a backslash carry the frequency range of spectral labels
+        .filter(line => line.trim().length > 0 && !line.startsWith('\\'))
+        .map((line, i) => {
+            const [start, end, ...label] = line.split('\t');
+            if (isNaN(parseFloat(start)) || isNaN(parseFloat(end))) {
+                throw new Error(`Invalid Audacity label on line ${i + 1}: '${line}'`);
+            }
+            return toSentence(i, parseFloat(start), parseFloat(end), label.join('\t'));
+        });
+}
+
+// CSV
+
+const NUMERIC_COLUMNS = ['index', 'start', 'end', 'duration', 'probability', 'noiseFloor'];
+
+function quoteCSV(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCSV(sentences, options = {}) {
+    const precision = options.precision !== undefined ? options.precision : DEFAULT_PRECISION;
+    const columns = options.columns || ['index', 'start', 'end', 'duration', 'probability'];
+    const header = options.text && !columns.includes('text') ? [...columns, 'text'] : columns;
+
+    const rows = sentences.map((sentence, i) => header.map(column => {
+        if (column === 'text') return quoteCSV(cueText(sentence, i, options.text));
+        const value = sentence[column];
+        if (typeof value === 'number' && column !== 'index') return roundTime(value, precision);
+        return quoteCSV(value);
+    }).join(','));
+
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+function parseCSV(text) {
+    const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+    if (!header || !header.includes('start') || !header.includes('end')) {
+        throw new Error('CSV input needs a header with at least start and end columns');
+    }
+
+    return rows.map((row, i) => {
+        const sentence = {};
+        header.forEach((column, c) => {
+            if (row[c] === undefined || row[c] === '') return;
+            sentence[column] = NUMERIC_COLUMNS.includes(column) ? Number(row[c]) : row[c];
+        });
+        if (sentence.index === undefined) sentence.index = i;
+        if (sentence.duration === undefined) sentence.duration = sentence.end - sentence.start;
+        return sentence;
+    });
+}
+
+// CMX 3600 edit decision list
+
+function getFrameRate(options) {
+    const frameRate = options.frameRate || DEFAULT_FRAME_RATE;
+    // Timecode counts whole frames per second; 29.97 and 59.94 fps would need drop-frame timecode
+    if (!Number.isInteger(frameRate) || frameRate <= 0) {
+        throw new Error(`EDL frameRate must be a positive whole number, got ${frameRate} (drop-frame timecode is not supported)`);
+    }
+    return frameRate;
+}
+
+function formatTimecode(seconds, frameRate) {
+    const totalFrames = Math.round(seconds * frameRate);
+    const frames = totalFrames % frameRate;
+    const totalSeconds = Math.floor(totalFrames / frameRate);
+
+    return [
+        Math.floor(totalSeconds / 3600),
+        Math.floor(totalSeconds / 60) % 60,
+        totalSeconds % 60,
+        frames
+    ].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+function parseTimecode(value, frameRate) {
+    const parts = value.split(/[:;]/).map(Number);
+    if (parts.length !== 4 || parts.some(isNaN)) {
+        throw new Error(`Invalid timecode '${value}'`);
+    }
+    const [hours, minutes, seconds, frames] = parts;
+    return hours * 3600 + minutes * 60 + seconds + frames / frameRate;
+}
+
+function formatEDL(sentences, options = {}) {
+    const frameRate = getFrameRate(options);
+    const reel = (options.reel || 'AX').padEnd(8, ' ');
+    const lines = [`TITLE: ${options.title || 'Sentences'}`, 'FCM: NON-DROP FRAME', ''];
+
+    sentences.forEach((sentence, i) => {
+        const start = formatTimecode(sentence.start, frameRate);
+        const end = formatTimecode(sentence.end, frameRate);
+        lines.push(`${String(i + 1).padStart(3, '0')}  ${reel} AA    C        ${start} ${end} ${start} ${end}`);
+
+        const text = cueText(sentence, i, options.text);
+        if (text) lines.push(`* COMMENT: ${text}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function parseEDL(text, options = {}) {
+    const frameRate = getFrameRate(options);
+    const sentences = [];
+    const eventPattern = /^\d+\s+\S+\s+\S+\s+\S+\s+(?:\d+\s+)?(\d\d[:;]\d\d[:;]\d\d[:;]\d\d)\s+(\d\d[:;]\d\d[:;]\d\d[:;]\d\d)/;
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const event = eventPattern.exec(line.trim());
+        if (event) {
+            sentences.push(toSentence(
+                sentences.length,
+                parseTimecode(event[1], frameRate),
+                parseTimecode(event[2], frameRate)
+            ));
+        } else if (line.startsWith('* COMMENT:') && sentences.length > 0) {
+            sentences[sentences.length - 1].text = line.slice('* COMMENT:'.length).trim();
+        }
+    }
+
+    return sentences;
+}
+
+// JSON
+
+function formatJSON(sentences, options = {}) {
+    const precision = options.precision !== undefined ? options.precision : DEFAULT_PRECISION;
+
+    return JSON.stringify(sentences.map((sentence, i) => {
+        const output = { ...sentence };
+        for (const key of ['start', 'end', 'duration']) {
+            output[key] = roundTime(sentence[key], precision);
+        }
+        if (options.text) output.text = cueText(sentence, i, options.text);
+        return output;
+    }), null, options.indent !== undefined ? options.indent : 2) + '\n';
+}
+
+function parseJSON(text) {
+    const data = JSON.parse(text);
+    const sentences = Array.isArray(data) ? data : data.sentences;
+    if (!Array.isArray(sentences)) {
+        throw new Error('JSON input must be an array of sentences or an object with a sentences array');
+    }
+
+    return sentences.map((sentence, i) => {
+        if (typeof sentence.start !== 'number' || typeof sentence.end !== 'number') {
+            throw new Error(`JSON sentence ${i} needs numeric start and end`);
+        }
+        return {
+            ...sentence,
+            index: sentence.index !== undefined ? sentence.index : i,
+            duration: sentence.duration !== undefined ? sentence.duration : sentence.end - sentence.start
+        };
+    });
+}
+
+const FORMATTERS = {
+    srt: formatSRT,
+    vtt: formatVTT,
+    audacity: formatAudacityLabels,
+    csv: formatCSV,
+    edl: formatEDL,
+    json: formatJSON
+};
+
+const PARSERS = {
+    srt: parseSRT,
+    vtt: parseVTT,
+    audacity: parseAudacityLabels,
+    csv: parseCSV,
+    edl: parseEDL,
+    json: parseJSON
+};
+
+function formatSentences(sentences, format, options = {}) {
+    if (!FORMATTERS[format]) {
+        throw new Error(`Unknown output format '${format}'. Supported: ${Object.keys(FORMATTERS).join(', ')}`);
+    }
+    return FORMATTERS[format](sentences, options);
+}
+
+function parseSentences(text, format, options = {}) {
+    if (!PARSERS[format]) {
+        throw new Error(`Unknown input format '${format}'. Supported: ${Object.keys(PARSERS).join(', ')}`);
+    }
+    return PARSERS[format](text, options);
+}
+
+module.exports = {
+    formatSRT,
+    parseSRT,
+    formatVTT,
+    parseVTT,
+    formatAudacityLabels,
+    parseAudacityLabels,
+    formatCSV,
+    parseCSV,
+    formatEDL,
+    parseEDL,
+    formatJSON,
+    parseJSON,
+    formatSentences,
+    parseSentences
+};
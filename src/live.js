@@ -0,0 +1,183 @@
+const SentenceSegmenter = require('./segmenter');
+
+const PROCESSOR_NAME = 'audio-sentence-detector-capture';
+
+// Contexts the capture processor has been registered with
+const registeredContexts = new WeakSet();
+
+// Runs on the audio rendering thread, so it is loaded from its own source text
+// and must not use anything outside this function. Mixes the input to mono and
+// posts it to the main thread in blocks of `chunkSize` samples.
+function captureProcessor(name) {
+    class CaptureProcessor extends AudioWorkletProcessor {
+        constructor(options) {
+            super();
+            this.chunk = new Float32Array(options.processorOptions.chunkSize);
+            this.length = 0;
+        }
+
+        process(inputs) {
+            const channels = inputs[0];
+            if (channels.length === 0) return true;
+
+            for (let i = 0; i < channels[0].length; i++) {
+                let sum = 0;
+                for (const channel of channels) sum += channel[i];
+                this.chunk[this.length++] = sum / channels.length;
+
+                if (this.length === this.chunk.length) {
+                    this.port.postMessage(this.chunk, [this.chunk.buffer]);
+                    this.chunk = new Float32Array(this.chunk.length);
+                    this.length = 0;
+                }
+            }
+            return true;
+        }
+    }
+
+    registerProcessor(name, CaptureProcessor);
+}
+
+async function loadCaptureProcessor(context) {
+    if (registeredContexts.has(context)) return;
+
+    const source = `(${captureProcessor})(${JSON.stringify(PROCESSOR_NAME)});`;
+    const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    try {
+        await context.audioWorklet.addModule(url);
+        registeredContexts.add(context);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Sentence detection on live input. Audio is captured by an AudioWorklet and
+// analysed on the main thread as it arrives; times are in seconds since start().
+class LiveSentenceDetector {
+    constructor(detector, options = {}) {
+        this.detector = detector;
+        this.onSentenceStart = options.onSentenceStart || null;
+        this.onSentenceEnd = options.onSentenceEnd || null;
+        this.onError = options.onError || null;
+        this.audioContext = options.audioContext || null;
+        // Contexts created here are closed again by stop()
+        this.ownsContext = !options.audioContext;
+        // Only needed when samples are passed to write() without start()
+        this.sampleRate = options.sampleRate || null;
+        this.sentences = [];
+        this.started = false;
+        this.stopped = false;
+        this.segmenter = null;
+        this.source = null;
+        this.node = null;
+    }
+
+    async start(source) {
+        if (this.started) {
+            throw new Error('A LiveSentenceDetector can only be started once');
+        }
+        this.started = true;
+
+        const context = this.audioContext || new AudioContext();
+        this.audioContext = context;
+        try {
+            await this.connect(context, source);
+        } catch (error) {
+            // A context created here is not handed to anyone else if starting fails
+            if (this.ownsContext && context.state !== 'closed') {
+                await context.close();
+            }
+            throw error;
+        }
+        return this;
+    }
+
+    async connect(context, source) {
+        await loadCaptureProcessor(context);
+        if (context.state === 'suspended') {
+            await context.resume();
+        }
+
+        if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+            this.source = context.createMediaStreamSource(source);
+        } else if (source && typeof source.connect === 'function') {
+            this.source = source;
+        } else {
+            throw new TypeError('start() expects a MediaStream or an AudioNode');
+        }
+
+        this.sampleRate = context.sampleRate;
+        this.createSegmenter();
+
+        // The node only produces silence; connecting it to the destination keeps it running
+        this.node = new AudioWorkletNode(context, PROCESSOR_NAME, {
+            processorOptions: { chunkSize: this.detector.options.hopSize }
+        });
+        this.node.port.onmessage = event => this.write(event.data);
+        this.source.connect(this.node);
+        this.node.connect(context.destination);
+    }
+
+    // Also usable without start() to feed mono samples from elsewhere
+    write(samples) {
+        if (this.stopped) {
+            throw new Error('write() after stop()');
+        }
+        if (!this.segmenter) {
+            this.createSegmenter();
+        }
+
+        try {
+            this.emit(this.segmenter.write(samples));
+        } catch (error) {
+            this.fail(error);
+        }
+    }
+
+    createSegmenter() {
+        if (!this.sampleRate || this.sampleRate <= 0) {
+            throw new TypeError('write() without start() requires a positive sampleRate option');
+        }
+        this.segmenter = new SentenceSegmenter(this.detector, this.sampleRate, {
+            onSpeechStart: this.onSentenceStart
+        });
+    }
+
+    // Stops capturing and resolves to every sentence, including the ones the end of the audio completes
+    async stop() {
+        this.stopped = true;
+        if (this.node) {
+            this.node.port.onmessage = null;
+            this.source.disconnect(this.node);
+            this.node.disconnect();
+            this.node = null;
+        }
+        if (this.ownsContext && this.audioContext && this.audioContext.state !== 'closed') {
+            await this.audioContext.close();
+        }
+
+        if (this.segmenter) {
+            try {
+                this.emit(this.segmenter.end());
+            } catch (error) {
+                this.fail(error);
+            }
+            this.segmenter = null;
+        }
+        return this.sentences;
+    }
+
+    emit(sentences) {
+        for (const sentence of sentences) {
+            this.sentences.push(sentence);
+            if (this.onSentenceEnd) this.onSentenceEnd(sentence);
+        }
+    }
+
+    fail(error) {
+        if (!this.onError) throw error;
+        this.onError(error);
+    }
+}
+
+module.exports = LiveSentenceDetector;
@@ -0,0 +1,274 @@
+const { InvalidOptionError } = require('./errors');
+const { DEFAULT_WEIGHTS } = require('./vad');
+
+const DEFAULT_OPTIONS = {
+    minSilenceDuration: 0.5,
+    silenceThreshold: 0.01,
+    adaptiveThreshold: false,
+    noiseFloorPercentile: 10,
+    noiseFloorWindow: 10,
+    speechOnMargin: 6,
+    speechOffMargin: 3,
+    minSentenceLength: 1,
+    maxSentenceLength: 15,
+    windowSize: 2048,
+    hopSize: null, // same as windowSize
+    windowFunction: 'hamming',
+    refineBoundaries: false,
+    dcRemoval: false,
+    highPassFrequency: 0,
+    preEmphasis: 0,
+    noiseReduction: false,
+    noiseProfile: null, // learned from the quietest frames
+    loudnessTarget: null,
+    workers: 0,
+    workerChunkDuration: 60,
+    idealSentenceLength: 5,
+    idealSilenceDuration: 0.8,
+    allowGaps: true,
+    minSegmentLength: 0,
+    alignToAudioBoundaries: false,
+    minProbability: 0,
+    regionMergeGap: 0.3,
+    padStart: 0,
+    padEnd: 0,
+    rules: [],
+    channelMode: 'single',
+    channel: 0,
+    speakerDetection: false,
+    maxSpeakers: 2,
+    minSpeakerTurnDuration: 1,
+    boundaryStrategy: 'silence',
+    prosodyThreshold: 0.5,
+    soundClassification: false,
+    nonSpeech: 'keep',
+
+    fundamentalFreqMin: 85,
+    fundamentalFreqMax: 255,
+    formantFreqRanges: [
+        [270, 730],
+        [840, 2290],
+        [1690, 3010]
+    ],
+    voiceActivityThreshold: 0.4,
+    minVoiceActivityDuration: 0.1,
+    energySmoothing: 0.95,
+    formantEmphasis: 0.7,
+    zeroCrossingRateThreshold: 0.3,
+    vadWeights: DEFAULT_WEIGHTS,
+    vadThreshold: 0.6
+};
+
+// Starting points for common material; explicit options override them
+const PRESETS = {
+    // Conversations between a few speakers, studio quality
+    podcast: {
+        minSilenceDuration: 0.4,
+        adaptiveThreshold: true,
+        maxSentenceLength: 20,
+        idealSentenceLength: 6,
+        speakerDetection: true,
+        maxSpeakers: 3
+    },
+    // Narrowband (300-3400 Hz) telephone audio with quick turn-taking
+    phoneCall: {
+        windowSize: 512,
+        hopSize: 256,
+        minSilenceDuration: 0.3,
+        adaptiveThreshold: true,
+        maxSentenceLength: 12,
+        idealSentenceLength: 4,
+        idealSilenceDuration: 0.5,
+        formantFreqRanges: [
+            [300, 730],
+            [840, 2290],
+            [1690, 3010]
+        ],
+        speakerDetection: true,
+        maxSpeakers: 2
+    },
+    // A single narrator reading with long, deliberate pauses
+    audiobook: {
+        minSilenceDuration: 0.6,
+        silenceThreshold: 0.005,
+        minSentenceLength: 1.5,
+        maxSentenceLength: 25,
+        idealSentenceLength: 8,
+        idealSilenceDuration: 1,
+        boundaryStrategy: 'prosody',
+        refineBoundaries: true
+    },
+    // Field recordings, crowds, hum: follow the noise floor and demand clearer speech
+    noisy: {
+        adaptiveThreshold: true,
+        noiseFloorPercentile: 15,
+        speechOnMargin: 9,
+        speechOffMargin: 5,
+        minSilenceDuration: 0.6,
+        minSegmentLength: 1.5,
+        minProbability: 0.3
+    }
+};
+
+// Options that are not part of detector.options
+const SPECIAL_OPTIONS = ['preset', 'vad', 'debug'];
+
+const number = (min, max, { integer = false, exclusiveMin = false } = {}) => value => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'a finite number';
+    if (integer && !Number.isInteger(value)) return 'an integer';
+    if (exclusiveMin ? value <= min : value < min) return `a number ${exclusiveMin ? '>' : '>='} ${min}`;
+    if (value > max) return `a number <= ${max}`;
+    return null;
+};
+const positive = number(0, Infinity, { exclusiveMin: true });
+const nonNegative = number(0, Infinity);
+const fraction = number(0, 1);
+const boolean = value => (typeof value === 'boolean' ? null : 'a boolean');
+const oneOf = (...choices) => value => (choices.includes(value) ? null : `one of ${choices.map(c => `'${c}'`).join(', ')}`);
+
+const VALIDATORS = {
+    minSilenceDuration: nonNegative,
+    silenceThreshold: nonNegative,
+    adaptiveThreshold: boolean,
+    noiseFloorPercentile: number(0, 100),
+    noiseFloorWindow: positive,
+    speechOnMargin: nonNegative,
+    speechOffMargin: nonNegative,
+    minSentenceLength: nonNegative,
+    maxSentenceLength: positive,
+    windowSize: number(2, Infinity, { integer: true }),
+    hopSize: value => (value === null ? null : number(1, Infinity, { integer: true })(value)),
+    windowFunction: oneOf('hamming', 'hann', 'blackman'),
+    refineBoundaries: boolean,
+    dcRemoval: boolean,
+    highPassFrequency: nonNegative,
+    preEmphasis: fraction,
+    noiseReduction: boolean,
+    noiseProfile: value => {
+        if (value === null) return null;
+        const valid = (Array.isArray(value) || value instanceof Float32Array || value instanceof Float64Array) &&
+            value.length > 0 && Array.prototype.every.call(value, s => typeof s === 'number' && Number.isFinite(s));
+        return valid ? null : 'null or a non-empty array of noise samples';
+    },
+    loudnessTarget: value => (value === null ? null : number(-Infinity, 0)(value)),
+    workers: number(0, Infinity, { integer: true }),
+    workerChunkDuration: positive,
+    idealSentenceLength: positive,
+    idealSilenceDuration: positive,
+    allowGaps: boolean,
+    minSegmentLength: nonNegative,
+    alignToAudioBoundaries: boolean,
+    minProbability: fraction,
+    regionMergeGap: nonNegative,
+    padStart: nonNegative,
+    padEnd: nonNegative,
+    rules: value => (Array.isArray(value) && value.every(rule => typeof rule === 'function') ? null : 'an array of functions'),
+    channelMode: oneOf('single', 'mix', 'maxEnergy', 'perChannel'),
+    channel: number(0, Infinity, { integer: true }),
+    speakerDetection: boolean,
+    maxSpeakers: number(1, 26, { integer: true }),
+    minSpeakerTurnDuration: nonNegative,
+    boundaryStrategy: oneOf('silence', 'prosody'),
+    prosodyThreshold: fraction,
+    soundClassification: boolean,
+    nonSpeech: oneOf('keep', 'exclude'),
+    fundamentalFreqMin: positive,
+    fundamentalFreqMax: positive,
+    formantFreqRanges: value => {
+        const valid = Array.isArray(value) && value.length > 0 && value.every(range =>
+            Array.isArray(range) && range.length === 2 &&
+            range.every(f => typeof f === 'number' && Number.isFinite(f) && f >= 0) &&
+            range[0] < range[1]
+        );
+        return valid ? null : 'a non-empty array of [min, max] frequency pairs with 0 <= min < max';
+    },
+    voiceActivityThreshold: nonNegative,
+    minVoiceActivityDuration: nonNegative,
+    energySmoothing: fraction,
+    formantEmphasis: nonNegative,
+    zeroCrossingRateThreshold: fraction,
+    vadWeights: value => {
+        const valid = Array.isArray(value) && value.length === 4 &&
+            value.every(w => typeof w === 'number' && Number.isFinite(w) && w >= 0);
+        return valid ? null : 'an array of 4 non-negative numbers';
+    },
+    vadThreshold: fraction
+};
+
+// Constraints between options, checked once every option is valid on its own
+const RULES = [
+    {
+        options: ['minSentenceLength', 'maxSentenceLength'],
+        check: o => o.minSentenceLength <= o.maxSentenceLength,
+        message: 'minSentenceLength must not be greater than maxSentenceLength'
+    },
+    {
+        options: ['fundamentalFreqMin', 'fundamentalFreqMax'],
+        check: o => o.fundamentalFreqMin < o.fundamentalFreqMax,
+        message: 'fundamentalFreqMin must be lower than fundamentalFreqMax'
+    },
+    {
+        options: ['speechOffMargin', 'speechOnMargin'],
+        check: o => o.speechOffMargin <= o.speechOnMargin,
+        message: 'speechOffMargin must not be greater than speechOnMargin'
+    }
+];
+
+function copyValue(value) {
+    return Array.isArray(value) ? value.map(copyValue) : value;
+}
+
+function resolveOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new InvalidOptionError('options', options, 'an object');
+    }
+
+    for (const name of Object.keys(options)) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_OPTIONS, name) && !SPECIAL_OPTIONS.includes(name)) {
+            throw new InvalidOptionError(name, options[name], null, `Unknown option '${name}'`);
+        }
+    }
+
+    let preset = {};
+    if (options.preset !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(PRESETS, options.preset)) {
+            throw new InvalidOptionError('preset', options.preset, `one of ${Object.keys(PRESETS).map(p => `'${p}'`).join(', ')}`);
+        }
+        preset = PRESETS[options.preset];
+    }
+
+    // Only undefined falls back, so 0 and false are kept
+    const resolved = {};
+    for (const name of Object.keys(DEFAULT_OPTIONS)) {
+        const value = options[name] !== undefined ? options[name] :
+            preset[name] !== undefined ? preset[name] :
+            DEFAULT_OPTIONS[name];
+
+        const problem = VALIDATORS[name](value);
+        if (problem) {
+            throw new InvalidOptionError(name, value, problem);
+        }
+        resolved[name] = copyValue(value);
+    }
+    if (resolved.hopSize === null) {
+        resolved.hopSize = resolved.windowSize;
+    }
+
+    for (const rule of RULES) {
+        if (!rule.check(resolved)) {
+            throw new InvalidOptionError(rule.options[0], resolved[rule.options[0]], null, rule.message);
+        }
+    }
+
+    if (options.debug !== undefined && typeof options.debug !== 'boolean') {
+        throw new InvalidOptionError('debug', options.debug, 'a boolean');
+    }
+
+    return resolved;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    PRESETS,
+    resolveOptions
+};
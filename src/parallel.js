@@ -0,0 +1,97 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createColumns, copyColumns } = require('./columns');
+
+// Per-frame analysis is independent of every other frame, so chunks of frames
+// can be analysed anywhere. Only the stateful pass over the results (voice
+// activity detection, smoothing, noise floor, silence tracking) stays on the
+// calling thread, which keeps results identical to a single-threaded run.
+
+function analyzeInParallel(detector, audioData, sampleRate, control = null, energy = audioData) {
+    const { windowSize, hopSize, workers, workerChunkDuration } = detector.options;
+    const frameCount = Math.ceil(audioData.length / hopSize);
+    const chunkFrames = Math.max(1, Math.round(workerChunkDuration * sampleRate / hopSize));
+    const analysis = createColumns(frameCount, detector.options);
+
+    const chunks = [];
+    for (let firstFrame = 0; firstFrame < frameCount; firstFrame += chunkFrames) {
+        const count = Math.min(chunkFrames, frameCount - firstFrame);
+        // Chunks overlap by the part of the last window that reaches into the next chunk
+        const start = firstFrame * hopSize;
+        const end = Math.min(audioData.length, (firstFrame + count - 1) * hopSize + windowSize);
+        chunks.push({ firstFrame, count, start, end });
+    }
+
+    return new Promise((resolve, reject) => {
+        const pool = [];
+        let next = 0;
+        let pending = chunks.length;
+        let analysedFrames = 0;
+        let failed = false;
+        let disposeAbort = () => {};
+
+        const finish = error => {
+            if (failed) return;
+            if (error) failed = true;
+            disposeAbort();
+            Promise.all(pool.map(worker => worker.terminate())).then(
+                () => (error ? reject(error) : resolve(analysis)),
+                reject
+            );
+        };
+        if (control) {
+            disposeAbort = control.onAbort(finish);
+        }
+
+        const dispatch = worker => {
+            if (next >= chunks.length) return;
+            const chunk = chunks[next++];
+            const samples = audioData.slice(chunk.start, chunk.end);
+            const chunkEnergy = energy !== audioData ? energy.slice(chunk.start, chunk.end) : null;
+            worker.currentChunk = chunk;
+            worker.postMessage(
+                { samples, energy: chunkEnergy, sampleRate, frameCount: chunk.count },
+                chunkEnergy ? [samples.buffer, chunkEnergy.buffer] : [samples.buffer]
+            );
+        };
+
+        for (let i = 0; i < Math.min(workers, chunks.length); i++) {
+            // Rules are functions, which cannot be sent to a thread; frame analysis does not use them
+            const worker = new Worker(path.join(__dirname, 'analysis-worker.js'), {
+                workerData: { options: { ...detector.options, workers: 0, rules: [] } }
+            });
+            worker.on('message', message => {
+                if (failed) return;
+                if (message.error) {
+                    finish(new Error(message.error));
+                    return;
+                }
+
+                copyColumns(analysis, message.columns, worker.currentChunk.firstFrame);
+                if (control) {
+                    // Chunks finish out of order, so the time reported is the analysed share of the audio
+                    analysedFrames += worker.currentChunk.count;
+                    control.report(analysedFrames / frameCount, analysedFrames * hopSize / sampleRate);
+                }
+                if (--pending === 0) {
+                    finish(null);
+                } else {
+                    dispatch(worker);
+                }
+            });
+            worker.on('error', finish);
+            // Workers only exit when terminated here, so any other exit (even with code 0) loses a chunk
+            worker.on('exit', code => {
+                if (pending > 0) {
+                    finish(new Error(`Analysis worker exited with code ${code} before all chunks were analysed`));
+                }
+            });
+            pool.push(worker);
+            dispatch(worker);
+        }
+    });
+}
+
+module.exports = {
+    analyzeInParallel
+};
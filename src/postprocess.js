@@ -0,0 +1,45 @@
+const { AudioSentenceDetectorError } = require('./errors');
+
+// Last steps every detected sentence goes through, one sentence at a time so
+// batch and streaming detection share them: padding, the user's rules and
+// numbering. Sentences must be passed in order.
+function createPostProcessor(options) {
+    const { padStart, padEnd, maxSentenceLength, rules } = options;
+    let previous = null;
+    let count = 0;
+
+    // totalDuration is the length of the audio, which padding never extends past
+    const process = (sentence, totalDuration) => {
+        if (padStart > 0 || padEnd > 0) {
+            // Nor past maxSentenceLength: both sides get the same share of the room left
+            const room = Math.max(0, maxSentenceLength - (sentence.end - sentence.start));
+            const scale = Math.min(1, room / (padStart + padEnd));
+            sentence.start = Math.max(0, sentence.start - padStart * scale);
+            sentence.end = Math.min(totalDuration, sentence.end + padEnd * scale);
+            sentence.duration = sentence.end - sentence.start;
+        }
+
+        for (const rule of rules) {
+            const result = rule(sentence, { index: count, previous });
+            if (result === null || result === false) return null;
+            if (result !== undefined) {
+                if (typeof result !== 'object' || typeof result.start !== 'number' || typeof result.end !== 'number') {
+                    throw new AudioSentenceDetectorError(`Sentence rule '${rule.name || 'anonymous'}' returned ${result}, expected a sentence, null or false`);
+                }
+                sentence = result;
+            }
+            sentence.duration = sentence.end - sentence.start;
+        }
+
+        // Merging and dropping sentences leaves gaps in the numbering
+        sentence.index = count++;
+        previous = sentence;
+        return sentence;
+    };
+
+    return { process };
+}
+
+module.exports = {
+    createPostProcessor
+};
@@ -0,0 +1,378 @@
+const { InvalidOptionError } = require('./errors');
+
+// Optional clean-up applied to the samples before analysis. Every stage works
+// on a stream of chunks and gives the same result however the audio is cut,
+// so streams and whole recordings are preprocessed identically.
+
+// Cutoff of the DC blocking filter, in Hz
+const DC_BLOCKER_CUTOFF = 10;
+// Frame length of the noise reduction STFT, in seconds (rounded up to a power of two)
+const NOISE_FRAME_DURATION = 0.03;
+// Share of the quietest frames the noise profile is learned from, in percent
+const NOISE_PROFILE_PERCENTILE = 10;
+// How much of the noise power is subtracted, and the gain every bin keeps at least
+const NOISE_OVERSUBTRACTION = 2;
+const NOISE_SPECTRAL_FLOOR = 0.05;
+// Blocks and gates of the loudness measurement, loosely following ITU-R BS.1770
+const LOUDNESS_BLOCK = 0.4;
+const LOUDNESS_ABSOLUTE_GATE = -70;
+const LOUDNESS_RELATIVE_GATE = -20;
+
+function hasPreprocessing(options) {
+    return options.dcRemoval || options.highPassFrequency > 0 || options.preEmphasis > 0 ||
+        options.noiseReduction || options.loudnessTarget !== null;
+}
+
+function concat(a, b) {
+    if (a.length === 0) return b;
+    if (b.length === 0) return a;
+    const result = new Float32Array(a.length + b.length);
+    result.set(a);
+    result.set(b, a.length);
+    return result;
+}
+
+// y[n] = x[n] - x[n-1] + R * y[n-1]
+function createDCBlocker(sampleRate) {
+    const pole = 1 - 2 * Math.PI * DC_BLOCKER_CUTOFF / sampleRate;
+    let lastInput = 0;
+    let lastOutput = 0;
+
+    return {
+        process(samples) {
+            const output = new Float32Array(samples.length);
+            for (let i = 0; i < samples.length; i++) {
+                lastOutput = samples[i] - lastInput + pole * lastOutput;
+                lastInput = samples[i];
+                output[i] = lastOutput;
+            }
+            return output;
+        }
+    };
+}
+
+// Second-order Butterworth high-pass (RBJ cookbook biquad)
+function createHighPass(frequency, sampleRate) {
+    if (frequency >= sampleRate / 2) {
+        throw new InvalidOptionError('highPassFrequency', frequency, null,
+            `highPassFrequency must be below half the sample rate (${sampleRate / 2} Hz)`);
+    }
+
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    const b0 = (1 + cos) / 2 / a0;
+    const b1 = -(1 + cos) / a0;
+    const b2 = b0;
+    const a1 = -2 * cos / a0;
+    const a2 = (1 - alpha) / a0;
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+    return {
+        process(samples) {
+            const output = new Float32Array(samples.length);
+            for (let i = 0; i < samples.length; i++) {
+                const x = samples[i];
+                const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+                x2 = x1;
+                x1 = x;
+                y2 = y1;
+                y1 = y;
+                output[i] = y;
+            }
+            return output;
+        }
+    };
+}
+
+// y[n] = x[n] - a * x[n-1]
+function createPreEmphasis(coefficient) {
+    let lastInput = 0;
+
+    return {
+        process(samples) {
+            const output = new Float32Array(samples.length);
+            for (let i = 0; i < samples.length; i++) {
+                output[i] = samples[i] - coefficient * lastInput;
+                lastInput = samples[i];
+            }
+            return output;
+        }
+    };
+}
+
+function getNoiseFrameSize(sampleRate) {
+    return Math.pow(2, Math.ceil(Math.log2(NOISE_FRAME_DURATION * sampleRate)));
+}
+
+// Periodic Hann: windows overlapping by half add up to exactly one
+function createHann(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    }
+    return window;
+}
+
+// In-place radix-2 FFT; the inverse is left unscaled
+function fft(real, imag, inverse = false) {
+    const n = real.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        for (let i = 0; i < n; i += size) {
+            for (let j = 0; j < size / 2; j++) {
+                const cos = Math.cos(angle * j);
+                const sin = Math.sin(angle * j);
+                const k = i + j + size / 2;
+                const tReal = real[k] * cos - imag[k] * sin;
+                const tImag = real[k] * sin + imag[k] * cos;
+                real[k] = real[i + j] - tReal;
+                imag[k] = imag[i + j] - tImag;
+                real[i + j] += tReal;
+                imag[i + j] += tImag;
+            }
+        }
+    }
+}
+
+function frameMagnitudes(samples, start, window) {
+    const size = window.length;
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    for (let i = 0; i < size && start + i < samples.length; i++) {
+        real[i] = samples[start + i] * window[i];
+    }
+    fft(real, imag);
+
+    const magnitudes = new Float64Array(size / 2 + 1);
+    for (let k = 0; k <= size / 2; k++) {
+        magnitudes[k] = Math.hypot(real[k], imag[k]);
+    }
+    return magnitudes;
+}
+
+// Average magnitude spectrum of noise. With quietestOnly, only the quietest
+// frames of the recording are used; otherwise `samples` is all noise.
+function estimateNoiseProfile(samples, sampleRate, quietestOnly = false) {
+    const window = createHann(getNoiseFrameSize(sampleRate));
+    const hop = window.length / 2;
+
+    const frames = [];
+    for (let start = 0; start === 0 || start + window.length <= samples.length; start += hop) {
+        const magnitudes = frameMagnitudes(samples, start, window);
+        frames.push({ magnitudes, energy: magnitudes.reduce((sum, m) => sum + m * m, 0) });
+    }
+
+    const used = quietestOnly ?
+        frames.sort((a, b) => a.energy - b.energy).slice(0, Math.max(1, Math.floor(frames.length * NOISE_PROFILE_PERCENTILE / 100))) :
+        frames;
+
+    const profile = new Float64Array(window.length / 2 + 1);
+    for (const frame of used) {
+        for (let k = 0; k < profile.length; k++) {
+            profile[k] += frame.magnitudes[k] / used.length;
+        }
+    }
+    return profile;
+}
+
+// Power spectral subtraction with 50% overlap-add. Output lags the input by one
+// frame until flush(), which returns the rest so the lengths match.
+function createNoiseReducer(profile, sampleRate) {
+    const size = getNoiseFrameSize(sampleRate);
+    const hop = size / 2;
+    const window = createHann(size);
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    const overlap = new Float64Array(hop);
+
+    // Half a frame of leading zeros so the first samples get full overlap too
+    let pending = new Float32Array(hop);
+    let skip = hop;
+    let received = 0;
+    let emitted = 0;
+
+    const processFrame = (samples, start) => {
+        for (let i = 0; i < size; i++) {
+            real[i] = samples[start + i] * window[i];
+            imag[i] = 0;
+        }
+        fft(real, imag);
+
+        for (let k = 0; k <= size / 2; k++) {
+            const power = real[k] * real[k] + imag[k] * imag[k];
+            const noisePower = profile[k] * profile[k];
+            const cleanPower = Math.max(power - NOISE_OVERSUBTRACTION * noisePower, NOISE_SPECTRAL_FLOOR * NOISE_SPECTRAL_FLOOR * power);
+            const gain = power > 0 ? Math.sqrt(cleanPower / power) : 0;
+            real[k] *= gain;
+            imag[k] *= gain;
+            if (k > 0 && k < size / 2) {
+                real[size - k] *= gain;
+                imag[size - k] *= gain;
+            }
+        }
+        fft(real, imag, true);
+
+        // The first half completes the previous frame, the second waits for the next one
+        const output = new Float32Array(hop);
+        for (let i = 0; i < hop; i++) {
+            output[i] = overlap[i] + real[i] / size;
+            overlap[i] = real[i + hop] / size;
+        }
+
+        const dropped = Math.min(skip, hop);
+        skip -= dropped;
+        return output.subarray(dropped);
+    };
+
+    const processPending = () => {
+        const outputs = [];
+        let start = 0;
+        for (; start + size <= pending.length; start += hop) {
+            outputs.push(processFrame(pending, start));
+        }
+        pending = pending.slice(start);
+
+        const output = new Float32Array(outputs.reduce((length, chunk) => length + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of outputs) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    };
+
+    return {
+        process(samples) {
+            received += samples.length;
+            pending = concat(pending, samples);
+            const output = processPending();
+            emitted += output.length;
+            return output;
+        },
+
+        flush() {
+            // Zeros complete every frame that still covers received samples
+            pending = concat(pending, new Float32Array(size));
+            const output = processPending().slice(0, received - emitted);
+            emitted = received;
+            return output;
+        }
+    };
+}
+
+function createStages(options, sampleRate, noiseProfile) {
+    const stages = [];
+    if (options.dcRemoval) stages.push(createDCBlocker(sampleRate));
+    if (options.highPassFrequency > 0) stages.push(createHighPass(options.highPassFrequency, sampleRate));
+    if (options.noiseReduction) stages.push(createNoiseReducer(noiseProfile, sampleRate));
+    if (options.preEmphasis > 0) stages.push(createPreEmphasis(options.preEmphasis));
+    return stages;
+}
+
+function runStages(stages, samples) {
+    let output = samples;
+    for (const stage of stages) {
+        output = stage.process(output);
+        if (stage.flush) output = concat(output, stage.flush());
+    }
+    return output;
+}
+
+// The noise profile goes through the same filters as the recording before it is measured
+function getNoiseProfile(options, sampleRate, filtered) {
+    if (options.noiseProfile === null) {
+        return estimateNoiseProfile(filtered, sampleRate, true);
+    }
+    const filters = createStages({ ...options, noiseReduction: false, preEmphasis: 0 }, sampleRate);
+    return estimateNoiseProfile(runStages(filters, Float32Array.from(options.noiseProfile)), sampleRate);
+}
+
+// Scales the recording so its gated RMS level reaches targetLevel dBFS
+function normalizeLoudness(samples, sampleRate, targetLevel) {
+    const blockSize = Math.max(1, Math.round(LOUDNESS_BLOCK * sampleRate));
+    const powers = [];
+    for (let start = 0; start < samples.length; start += blockSize) {
+        const end = Math.min(samples.length, start + blockSize);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+        powers.push(sum / (end - start));
+    }
+
+    const toLevel = power => 10 * Math.log10(power);
+    const mean = values => values.reduce((sum, p) => sum + p, 0) / values.length;
+    const audible = powers.filter(p => p > 0 && toLevel(p) > LOUDNESS_ABSOLUTE_GATE);
+    if (audible.length === 0) return samples;
+
+    const relativeGate = toLevel(mean(audible)) + LOUDNESS_RELATIVE_GATE;
+    const gated = audible.filter(p => toLevel(p) > relativeGate);
+    const gain = Math.pow(10, (targetLevel - toLevel(mean(gated))) / 20);
+
+    const output = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        output[i] = samples[i] * gain;
+    }
+    return output;
+}
+
+function preprocess(samples, sampleRate, options) {
+    let output = runStages(createStages({ ...options, noiseReduction: false, preEmphasis: 0 }, sampleRate), samples);
+    if (options.noiseReduction) {
+        output = runStages([createNoiseReducer(getNoiseProfile(options, sampleRate, output), sampleRate)], output);
+    }
+    if (options.preEmphasis > 0) {
+        output = runStages([createPreEmphasis(options.preEmphasis)], output);
+    }
+    if (options.loudnessTarget !== null) {
+        output = normalizeLoudness(output, sampleRate, options.loudnessTarget);
+    }
+    return output;
+}
+
+// Chunk-by-chunk preprocessing for streams, or null when nothing is enabled.
+// Steps that need the whole recording are rejected.
+function createPreprocessor(options, sampleRate) {
+    if (!hasPreprocessing(options)) return null;
+
+    if (options.loudnessTarget !== null) {
+        throw new InvalidOptionError('loudnessTarget', options.loudnessTarget, null,
+            'loudnessTarget needs the whole recording and cannot be used in a stream');
+    }
+    if (options.noiseReduction && options.noiseProfile === null) {
+        throw new InvalidOptionError('noiseProfile', null, null,
+            'noiseReduction in a stream needs a noiseProfile recorded in advance');
+    }
+
+    const stages = createStages(options, sampleRate, options.noiseReduction ? getNoiseProfile(options, sampleRate) : null);
+
+    return {
+        process(samples) {
+            return stages.reduce((output, stage) => stage.process(output), samples);
+        },
+
+        flush() {
+            return runStages(stages, new Float32Array(0));
+        }
+    };
+}
+
+module.exports = {
+    concat,
+    hasPreprocessing,
+    preprocess,
+    createPreprocessor,
+    estimateNoiseProfile,
+    normalizeLoudness
+};
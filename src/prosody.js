@@ -0,0 +1,116 @@
+// Cumulative mean normalized difference below which a lag counts as periodic
+const YIN_THRESHOLD = 0.15;
+// Contour analysed before each pause, in seconds
+const CONTOUR_DURATION = 0.5;
+// Speech preceding a pause used as the speaker's pitch reference, in seconds
+const REFERENCE_DURATION = 10;
+
+function estimatePitch(buffer, sampleRate, minFreq, maxFreq) {
+    const tauMin = Math.max(2, Math.floor(sampleRate / maxFreq));
+    const tauMax = Math.min(Math.floor(buffer.length / 2), Math.ceil(sampleRate / minFreq));
+    if (tauMax <= tauMin) return 0;
+
+    const integrationLength = buffer.length - tauMax;
+    const difference = new Float32Array(tauMax + 1);
+
+    // 1. Difference function
+    for (let tau = 1; tau <= tauMax; tau++) {
+        let sum = 0;
+        for (let j = 0; j < integrationLength; j++) {
+            const delta = buffer[j] - buffer[j + tau];
+            sum += delta * delta;
+        }
+        difference[tau] = sum;
+    }
+
+    // 2. Cumulative mean normalized difference
+    const normalized = new Float32Array(tauMax + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= tauMax; tau++) {
+        runningSum += difference[tau];
+        normalized[tau] = runningSum === 0 ? 1 : difference[tau] * tau / runningSum;
+    }
+
+    // 3. First dip below the threshold, followed down to its local minimum
+    for (let tau = tauMin; tau < tauMax; tau++) {
+        if (normalized[tau] < YIN_THRESHOLD) {
+            while (tau + 1 < tauMax && normalized[tau + 1] < normalized[tau]) {
+                tau++;
+            }
+
+            // 4. Parabolic interpolation around the minimum
+            const previous = normalized[tau - 1];
+            const next = normalized[tau + 1];
+            const denominator = previous + next - 2 * normalized[tau];
+            const shift = denominator !== 0 ? (previous - next) / (2 * denominator) : 0;
+
+            return sampleRate / (tau + shift);
+        }
+    }
+
+    return 0; // Unvoiced or aperiodic frame
+}
+
+function linearSlope(points) {
+    if (points.length < 2) return 0;
+
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const p of points) {
+        covariance += (p.x - meanX) * (p.y - meanY);
+        variance += (p.x - meanX) * (p.x - meanX);
+    }
+
+    return variance === 0 ? 0 : covariance / variance;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function scoreBoundary(region, silenceState, options) {
+    const { sampleRate, frameRMS, frameF0 } = silenceState;
+    const frameDuration = options.hopSize / sampleRate;
+    const endFrame = Math.min(frameF0.length, Math.floor(region.start / frameDuration));
+    const contourStart = Math.max(0, endFrame - Math.round(CONTOUR_DURATION / frameDuration));
+    const referenceStart = Math.max(0, endFrame - Math.round(REFERENCE_DURATION / frameDuration));
+
+    const pitchPoints = [];
+    const energyPoints = [];
+    for (let i = contourStart; i < endFrame; i++) {
+        const time = i * frameDuration;
+        if (frameF0[i] > 0) {
+            pitchPoints.push({ x: time, y: 12 * Math.log2(frameF0[i]) }); // semitones
+        }
+        energyPoints.push({ x: time, y: 20 * Math.log10(Math.max(frameRMS[i], 1e-6)) }); // dB
+    }
+
+    // 1. Falling intonation: negative slope and a final pitch below the speaker's usual level
+    const pitchSlope = linearSlope(pitchPoints); // semitones per second
+    const reference = median(frameF0.slice(referenceStart, endFrame).filter(f0 => f0 > 0));
+    const finalPitch = pitchPoints.length ? pitchPoints[pitchPoints.length - 1].y : 0;
+    const slopeScore = Math.min(1, Math.max(0, -pitchSlope / 10));
+    const levelScore = reference > 0 && pitchPoints.length ?
+        Math.min(1, Math.max(0, (12 * Math.log2(reference) - finalPitch) / 3)) :
+        0;
+    const pitchScore = pitchPoints.length >= 2 ? 0.6 * slopeScore + 0.4 * levelScore : 0.5;
+
+    // 2. Energy decay towards the pause
+    const energySlope = linearSlope(energyPoints); // dB per second
+    const energyScore = Math.min(1, Math.max(0, -energySlope / 20));
+
+    // 3. Longer pauses are more likely to end a sentence
+    const pauseScore = Math.min(1, region.duration / options.idealSilenceDuration);
+
+    return 0.4 * pitchScore + 0.3 * energyScore + 0.3 * pauseScore;
+}
+
+module.exports = {
+    estimatePitch,
+    scoreBoundary
+};
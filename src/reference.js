@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSentences } = require('./formats');
+
+// Reference formats by file extension; '.labels.txt' and '.txt' are Audacity labels
+const REFERENCE_FORMATS = {
+    '.json': 'json',
+    '.srt': 'srt',
+    '.vtt': 'vtt',
+    '.txt': 'audacity',
+    '.csv': 'csv',
+    '.edl': 'edl'
+};
+
+async function loadReference(file, options = {}) {
+    const format = options.format || REFERENCE_FORMATS[path.extname(file).toLowerCase()];
+    if (!format) {
+        throw new Error(`Cannot tell the format of '${file}' from its extension; pass options.format`);
+    }
+    return parseSentences(await fs.promises.readFile(file, 'utf8'), format, options);
+}
+
+module.exports = {
+    loadReference
+};
@@ -0,0 +1,338 @@
+const { InvalidOptionError } = require('./errors');
+const { concat, createPreprocessor } = require('./preprocess');
+const { createPostProcessor } = require('./postprocess');
+
+// Incremental sentence detection over audio that arrives piece by piece. Gives
+// the same sentences as detect() on the whole recording; each one is returned
+// as soon as no later audio can change it. Shared by the Node.js stream and
+// the browser's live detector.
+class SentenceSegmenter {
+    constructor(detector, sampleRate, options = {}) {
+        if (detector.options.speakerDetection) {
+            throw new InvalidOptionError('speakerDetection', true, null,
+                'speakerDetection clusters the whole recording and cannot be used in a stream');
+        }
+
+        this.detector = detector;
+        this.sampleRate = sampleRate;
+        this.windowSize = detector.options.windowSize;
+        this.hopSize = detector.options.hopSize;
+        // Called with the time (seconds) speech resumes after a pause of at least minSilenceDuration
+        this.onSpeechStart = options.onSpeechStart || null;
+        this.speaking = false;
+
+        // Filters run chunk by chunk; the noise reducer holds back up to one frame.
+        // Only the energy is measured on their output, so the input waits in
+        // `unfiltered` until the filtered samples for it are there.
+        this.preprocessor = createPreprocessor(detector.options, sampleRate);
+        this.unfiltered = new Float32Array(0);
+
+        // Analysis state carried between chunks
+        this.silenceState = detector.createSilenceState(sampleRate);
+        this.frame = new Float32Array(this.windowSize);
+        this.energyFrame = this.preprocessor ? new Float32Array(this.windowSize) : null;
+        this.frameLength = 0;
+        this.position = 0; // start of the next analysis frame
+        this.totalSamples = 0;
+        this.skipSamples = 0;
+
+        // Recent audio kept for boundary refinement
+        this.refine = detector.options.refineBoundaries && detector.options.allowGaps;
+        this.refineMargins = detector.getRefineMargins(this.silenceState);
+        this.history = new Float32Array(0);
+        this.historyLength = 0;
+        this.historyStart = 0;
+        this.previousEnd = 0;
+
+        // Segmentation state carried between chunks
+        this.regionsSelected = 0;
+        this.boundaryRegions = [];
+        this.regionsProcessed = 0;
+        this.lastEnd = 0;
+        this.sentences = [];
+        this.sentencesMerged = 0;
+        this.shortSegmentState = detector.options.minSegmentLength > 0 ? detector.createShortSegmentState() : null;
+        this.filteredCount = 0;
+        this.accepted = [];
+        this.emittedCount = 0;
+        this.postProcessor = createPostProcessor(detector.options);
+    }
+
+    // Returns the sentences completed by these samples
+    write(samples) {
+        if (this.preprocessor) {
+            this.unfiltered = concat(this.unfiltered, samples);
+            this.processFiltered(this.preprocessor.process(samples));
+        } else {
+            this.processSamples(samples, samples);
+        }
+        this.processRegions(false);
+        return this.emitSentences(false);
+    }
+
+    // Returns the remaining sentences once the audio has ended
+    end() {
+        if (this.preprocessor) {
+            this.processFiltered(this.preprocessor.flush());
+        }
+
+        // Frames running past the end of the audio are analysed as they are
+        while (this.frameLength > 0) {
+            this.processFrame(
+                this.frame.slice(0, this.frameLength),
+                this.energyFrame ? this.energyFrame.slice(0, this.frameLength) : null
+            );
+        }
+        this.detector.finishSilentRegions(this.silenceState, this.totalSamples);
+
+        this.processRegions(true);
+        this.detector.addTrailingSentence(this.sentences, this.lastEnd, this.totalSamples / this.sampleRate, this.silenceState);
+        this.mergeNewSentences();
+        if (this.shortSegmentState) {
+            this.detector.flushShortSegments(this.shortSegmentState);
+        }
+
+        return this.emitSentences(true);
+    }
+
+    // Pairs filtered samples with the input they came from
+    processFiltered(filtered) {
+        const samples = this.unfiltered.subarray(0, filtered.length);
+        this.unfiltered = this.unfiltered.slice(filtered.length);
+        this.processSamples(samples, filtered);
+    }
+
+    // `energy` is `samples` after preprocessing, or `samples` itself without it
+    processSamples(samples, energy) {
+        // Boundaries are refined on the energy envelope
+        if (this.refine) {
+            this.appendHistory(energy);
+        }
+        this.totalSamples += samples.length;
+
+        let offset = 0;
+        while (offset < samples.length) {
+            // A hop larger than the window skips the samples in between
+            if (this.skipSamples > 0) {
+                const skipped = Math.min(this.skipSamples, samples.length - offset);
+                this.skipSamples -= skipped;
+                offset += skipped;
+                continue;
+            }
+
+            const count = Math.min(this.windowSize - this.frameLength, samples.length - offset);
+            this.frame.set(samples.subarray(offset, offset + count), this.frameLength);
+            if (this.energyFrame) {
+                this.energyFrame.set(energy.subarray(offset, offset + count), this.frameLength);
+            }
+            this.frameLength += count;
+            offset += count;
+
+            if (this.frameLength === this.windowSize) {
+                this.processFrame(this.frame, this.energyFrame);
+            }
+        }
+    }
+
+    processFrame(window, energyWindow) {
+        const precomputed = energyWindow ? { rms: this.detector.calculateRMS(energyWindow) } : null;
+        this.detector.processSilenceFrame(this.silenceState, window, this.position, precomputed);
+        if (this.onSpeechStart) {
+            this.trackSpeech();
+        }
+        this.advanceFrame();
+    }
+
+    trackSpeech() {
+        const { currentSilenceStart } = this.silenceState;
+        if (!this.speaking && currentSilenceStart === null) {
+            this.speaking = true;
+            this.onSpeechStart(this.position / this.sampleRate);
+        } else if (this.speaking && currentSilenceStart !== null &&
+            (this.position - currentSilenceStart) / this.sampleRate >= this.detector.options.minSilenceDuration) {
+            this.speaking = false;
+        }
+    }
+
+    advanceFrame() {
+        // Overlapping frames keep the samples shared with the next frame
+        if (this.frameLength > this.hopSize) {
+            this.frame.copyWithin(0, this.hopSize, this.frameLength);
+            if (this.energyFrame) {
+                this.energyFrame.copyWithin(0, this.hopSize, this.frameLength);
+            }
+            this.frameLength -= this.hopSize;
+        } else {
+            this.skipSamples = this.hopSize - this.frameLength;
+            this.frameLength = 0;
+        }
+        this.position += this.hopSize;
+    }
+
+    appendHistory(samples) {
+        if (this.historyLength + samples.length > this.history.length) {
+            const grown = new Float32Array(Math.max(this.history.length * 2, this.historyLength + samples.length));
+            grown.set(this.history.subarray(0, this.historyLength));
+            this.history = grown;
+        }
+        this.history.set(samples, this.historyLength);
+        this.historyLength += samples.length;
+    }
+
+    trimHistory() {
+        // Pending sentences cannot start before the first one still waiting in any stage
+        const candidates = this.shortSegmentState ? this.shortSegmentState.merged : this.sentences;
+        const pending = [
+            this.accepted[this.emittedCount],
+            candidates[this.filteredCount],
+            this.shortSegmentState ? this.shortSegmentState.segmentsToMerge[0] : null,
+            this.shortSegmentState ? this.sentences[this.sentencesMerged] : null
+        ].filter(Boolean);
+        const earliest = Math.min(this.lastEnd, ...pending.map(sentence => sentence.start));
+        const keepFrom = Math.round(earliest * this.sampleRate) - this.refineMargins.before - this.refineMargins.envelope;
+
+        const drop = Math.min(keepFrom - this.historyStart, this.historyLength);
+        if (drop > 0) {
+            this.history.copyWithin(0, drop, this.historyLength);
+            this.historyLength -= drop;
+            this.historyStart += drop;
+        }
+    }
+
+    countFinalRegions(mergedRegions, ended) {
+        if (ended || mergedRegions.length === 0) {
+            return mergedRegions.length;
+        }
+
+        // The last merged region may still absorb the next silent region, which
+        // cannot start before the currently open silence (or the next frame).
+        // A run of music or noise that is not long enough yet to be excluded
+        // may still turn into silence from its start, taking back the regions after it.
+        const state = this.silenceState;
+        let nextStart = state.currentSilenceStart !== null ? state.currentSilenceStart : this.position;
+        if (state.nonSpeech && state.nonSpeech.pendingStart !== null) {
+            nextStart = Math.min(nextStart, state.nonSpeech.pendingStart * this.hopSize);
+        }
+
+        let count = mergedRegions.length;
+        while (count > 0 && nextStart / this.sampleRate - mergedRegions[count - 1].end < this.detector.options.regionMergeGap) {
+            count--;
+        }
+        return count;
+    }
+
+    processRegions(ended) {
+        const mergedRegions = this.detector.mergeCloseRegions(this.silenceState.regions);
+        const finalCount = this.countFinalRegions(mergedRegions, ended);
+
+        // Boundary selection only looks at audio before each region, so final regions can be scored right away
+        if (this.regionsSelected < finalCount) {
+            const selected = this.detector.selectBoundaryRegions(
+                mergedRegions.slice(this.regionsSelected, finalCount), this.silenceState
+            );
+            this.boundaryRegions.push(...selected);
+            this.regionsSelected = finalCount;
+        }
+
+        // Without gaps a sentence ends in the middle of the following gap, so it
+        // also waits for the next region to be final.
+        const regions = this.boundaryRegions;
+        const ready = this.detector.options.allowGaps || ended ? regions.length : regions.length - 1;
+
+        while (this.regionsProcessed < ready) {
+            const i = this.regionsProcessed;
+            const nextRegion = i + 1 < regions.length ? regions[i + 1] : null;
+            this.lastEnd = this.detector.addSentencesBeforeRegion(
+                this.sentences, this.lastEnd, regions[i], nextRegion, this.silenceState
+            );
+            this.regionsProcessed++;
+        }
+
+        this.mergeNewSentences();
+    }
+
+    mergeNewSentences() {
+        if (!this.shortSegmentState) return;
+
+        while (this.sentencesMerged < this.sentences.length) {
+            this.detector.addShortSegment(this.shortSegmentState, this.sentences[this.sentencesMerged]);
+            this.sentencesMerged++;
+        }
+    }
+
+    emitSentences(ended) {
+        const candidates = this.shortSegmentState ? this.shortSegmentState.merged : this.sentences;
+        const output = this.accepted;
+        const totalDuration = this.totalSamples / this.sampleRate;
+        const { alignToAudioBoundaries: align, padEnd } = this.detector.options;
+        const emitted = [];
+
+        // A short group after the last merged segment may still be merged into it
+        const finalCount = this.shortSegmentState && !ended ? candidates.length - 1 : candidates.length;
+        while (this.filteredCount < finalCount) {
+            const sentence = candidates[this.filteredCount++];
+            if (this.detector.meetsMinProbability(sentence)) {
+                output.push(sentence);
+            }
+        }
+
+        if (ended && align && output.length === 0) {
+            this.detector.pushSentence(output, 0, totalDuration, null, this.silenceState);
+        }
+
+        // Aligned output moves the end of the last sentence, so hold it back until the audio ends
+        const available = align && !ended ? output.length - 1 : output.length;
+
+        while (this.emittedCount < available) {
+            let sentence = output[this.emittedCount];
+
+            // Padding is clamped to the end of the audio, so it waits for the audio after
+            // the sentence; refinement can still move the end by refineMargins.after samples
+            const latestEnd = this.refine ?
+                (Math.round(sentence.end * this.sampleRate) + this.refineMargins.after) / this.sampleRate :
+                sentence.end;
+            if (padEnd > 0 && !ended && totalDuration < latestEnd + padEnd) break;
+
+            if (this.refine) {
+                // The end can move up to refineMargins.after samples past the detected one
+                const needed = Math.round(sentence.end * this.sampleRate) + this.refineMargins.after + this.refineMargins.envelope;
+                if (!ended && this.totalSamples < needed) break;
+
+                this.detector.refineSentence(
+                    sentence,
+                    this.history.subarray(0, this.historyLength),
+                    this.historyStart,
+                    ended ? this.totalSamples : Infinity,
+                    this.previousEnd,
+                    this.silenceState
+                );
+                this.previousEnd = sentence.end;
+            }
+
+            if (align && this.emittedCount === 0 && sentence.start !== 0) {
+                sentence.start = 0;
+            }
+            if (align && ended && this.emittedCount === output.length - 1) {
+                sentence.end = totalDuration;
+                sentence.duration = sentence.end - sentence.start;
+            }
+
+            if (this.silenceState.classifier) {
+                this.detector.labelSoundClass(sentence, this.silenceState);
+            }
+
+            this.emittedCount++;
+            sentence = this.postProcessor.process(sentence, totalDuration);
+            if (sentence) {
+                emitted.push(sentence);
+            }
+        }
+
+        if (this.refine) {
+            this.trimHistory();
+        }
+        return emitted;
+    }
+}
+
+module.exports = SentenceSegmenter;
@@ -0,0 +1,251 @@
+const SPEAKER_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Minimum distance between cluster centers, relative to the spread within the clusters,
+// to count as different speakers (one unimodal speaker split in two scores about 2.7)
+const SPEAKER_SEPARATION = 4;
+const KMEANS_ITERATIONS = 25;
+// Majority vote window for frame labels, in seconds
+const LABEL_SMOOTHING = 0.3;
+// Weight of the pitch against the other (normalized) features: formants and the
+// spectral centroid change with every vowel, pitch mostly with the speaker
+const PITCH_WEIGHT = 3;
+
+function featureVector(frame) {
+    // Log pitch, so a high voice does not look more varied than a low one
+    return [Math.log(frame.pitch), frame.spectralCentroid, ...frame.formantScores];
+}
+
+function normalizeVectors(vectors) {
+    const dims = vectors[0].length;
+    const means = new Array(dims).fill(0);
+    const deviations = new Array(dims).fill(0);
+
+    for (const vector of vectors) {
+        for (let d = 0; d < dims; d++) means[d] += vector[d] / vectors.length;
+    }
+    for (const vector of vectors) {
+        for (let d = 0; d < dims; d++) deviations[d] += (vector[d] - means[d]) ** 2 / vectors.length;
+    }
+    for (let d = 0; d < dims; d++) {
+        deviations[d] = Math.sqrt(deviations[d]) || 1;
+    }
+
+    return vectors.map(vector => vector.map((value, d) => (value - means[d]) / deviations[d]));
+}
+
+function distance(a, b) {
+    let sum = 0;
+    for (let d = 0; d < a.length; d++) {
+        sum += (a[d] - b[d]) ** 2;
+    }
+    return Math.sqrt(sum);
+}
+
+function nearestCenter(vector, centers) {
+    let best = 0;
+    for (let c = 1; c < centers.length; c++) {
+        if (distance(vector, centers[c]) < distance(vector, centers[best])) {
+            best = c;
+        }
+    }
+    return best;
+}
+
+function principalAxis(vectors) {
+    // Power iteration on the covariance matrix (vectors are already centered)
+    let axis = vectors[0].map(() => 1);
+    for (let iteration = 0; iteration < 20; iteration++) {
+        const next = axis.map(() => 0);
+        for (const vector of vectors) {
+            const projection = vector.reduce((sum, value, d) => sum + value * axis[d], 0);
+            for (let d = 0; d < vector.length; d++) next[d] += projection * vector[d];
+        }
+        const norm = Math.sqrt(next.reduce((sum, value) => sum + value * value, 0));
+        if (norm === 0) break;
+        axis = next.map(value => value / norm);
+    }
+    return axis;
+}
+
+function kMeans(vectors, k) {
+    // Deterministic initialisation: split the points into k equal groups along the
+    // principal axis and start from each group's median point
+    const axis = principalAxis(vectors);
+    const sorted = vectors
+        .map(vector => ({ vector, projection: vector.reduce((sum, value, d) => sum + value * axis[d], 0) }))
+        .sort((a, b) => a.projection - b.projection);
+    const centers = [];
+    for (let c = 0; c < k; c++) {
+        centers.push(sorted[Math.floor(((c + 0.5) / k) * sorted.length)].vector.slice());
+    }
+
+    let assignments = vectors.map(vector => nearestCenter(vector, centers));
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        for (let c = 0; c < k; c++) {
+            const members = vectors.filter((_, i) => assignments[i] === c);
+            if (members.length > 0) {
+                centers[c] = centers[c].map((_, d) => members.reduce((sum, m) => sum + m[d], 0) / members.length);
+            }
+        }
+
+        const next = vectors.map(vector => nearestCenter(vector, centers));
+        if (next.every((c, i) => c === assignments[i])) break;
+        assignments = next;
+    }
+
+    return { centers, assignments };
+}
+
+function clusterSeparation(vectors, assignments, centers, a, b) {
+    const gap = distance(centers[a], centers[b]);
+    if (gap === 0) return 0;
+
+    // Spread of both clusters along the line joining their centers
+    const axis = centers[b].map((value, d) => (value - centers[a][d]) / gap);
+    let variance = 0;
+    let count = 0;
+    vectors.forEach((vector, i) => {
+        const c = assignments[i];
+        if (c !== a && c !== b) return;
+        const offset = vector.reduce((sum, value, d) => sum + (value - centers[c][d]) * axis[d], 0);
+        variance += offset * offset;
+        count++;
+    });
+
+    const spread = Math.sqrt(variance / count);
+    return spread === 0 ? Infinity : gap / spread;
+}
+
+function mergeCloseClusters(vectors, centers, assignments) {
+    // Clusters that are not clearly apart are most likely the same speaker
+    const parent = centers.map((_, c) => c);
+    const find = c => (parent[c] === c ? c : (parent[c] = find(parent[c])));
+
+    for (let a = 0; a < centers.length; a++) {
+        for (let b = a + 1; b < centers.length; b++) {
+            if (clusterSeparation(vectors, assignments, centers, a, b) < SPEAKER_SEPARATION) {
+                parent[find(b)] = find(a);
+            }
+        }
+    }
+
+    return assignments.map(c => find(c));
+}
+
+function clusterFrames(frameFeatures, maxSpeakers) {
+    // Frames without a measurable pitch (consonants, breath) say little about the speaker
+    const voiced = [];
+    frameFeatures.forEach((frame, i) => {
+        if (frame && frame.pitch > 0) voiced.push(i);
+    });
+
+    const labels = new Array(frameFeatures.length).fill(-1);
+    if (voiced.length === 0) return labels;
+
+    const k = Math.min(maxSpeakers, voiced.length);
+    const vectors = normalizeVectors(voiced.map(i => featureVector(frameFeatures[i])));
+    for (const vector of vectors) vector[0] *= PITCH_WEIGHT;
+    const { centers, assignments } = kMeans(vectors, k);
+    const merged = mergeCloseClusters(vectors, centers, assignments);
+
+    voiced.forEach((frameIndex, i) => {
+        labels[frameIndex] = merged[i];
+    });
+    return labels;
+}
+
+function smoothLabels(labels, radius) {
+    return labels.map((label, i) => {
+        if (label === -1) return -1;
+
+        const votes = new Map();
+        for (let j = Math.max(0, i - radius); j <= Math.min(labels.length - 1, i + radius); j++) {
+            if (labels[j] !== -1) votes.set(labels[j], (votes.get(labels[j]) || 0) + 1);
+        }
+
+        let best = label;
+        for (const [candidate, count] of votes) {
+            if (count > votes.get(best)) best = candidate;
+        }
+        return best;
+    });
+}
+
+function findTurns(labels, minTurnFrames) {
+    // Runs of the same speaker; unvoiced frames extend the current run
+    let runs = [];
+    for (let i = 0; i < labels.length; i++) {
+        const label = labels[i];
+        const last = runs[runs.length - 1];
+
+        if (label === -1 || (last && last.label === label)) {
+            if (last) last.end = i + 1;
+        } else if (label !== -1) {
+            runs.push({ label, start: last ? i : 0, end: i + 1 });
+        }
+    }
+
+    // Short runs are absorbed by the preceding speaker
+    runs = runs.reduce((kept, run) => {
+        const last = kept[kept.length - 1];
+        if (last && (run.end - run.start < minTurnFrames || last.label === run.label)) {
+            last.end = run.end;
+        } else {
+            kept.push(run);
+        }
+        return kept;
+    }, []);
+
+    // A short first run belongs to the speaker that follows it
+    if (runs.length > 1 && runs[0].end - runs[0].start < minTurnFrames) {
+        runs[1].start = runs[0].start;
+        runs.shift();
+    }
+
+    return runs;
+}
+
+function assignSpeakers(sentences, silenceState, options) {
+    const { sampleRate, frameFeatures } = silenceState;
+    const frameDuration = options.hopSize / sampleRate;
+    const clusters = smoothLabels(
+        clusterFrames(frameFeatures, options.maxSpeakers),
+        Math.max(1, Math.round(LABEL_SMOOTHING / frameDuration / 2))
+    );
+    const minTurnFrames = Math.max(1, Math.round(options.minSpeakerTurnDuration / frameDuration));
+
+    // Letters are handed out in order of first appearance
+    const letters = new Map();
+    const letterFor = cluster => {
+        if (cluster === -1) return null;
+        if (!letters.has(cluster)) {
+            letters.set(cluster, SPEAKER_LABELS[letters.size % SPEAKER_LABELS.length]);
+        }
+        return letters.get(cluster);
+    };
+
+    const result = [];
+    for (const sentence of sentences) {
+        const firstFrame = Math.floor(sentence.start / frameDuration);
+        const lastFrame = Math.max(firstFrame + 1, Math.ceil(sentence.end / frameDuration));
+        const turns = findTurns(clusters.slice(firstFrame, lastFrame), minTurnFrames);
+
+        if (turns.length <= 1) {
+            result.push({ ...sentence, speaker: letterFor(turns.length ? turns[0].label : -1) });
+            continue;
+        }
+
+        turns.forEach((turn, t) => {
+            const start = t === 0 ? sentence.start : (firstFrame + turn.start) * frameDuration;
+            const end = t === turns.length - 1 ? sentence.end : (firstFrame + turn.end) * frameDuration;
+            result.push({ ...sentence, start, end, duration: end - start, speaker: letterFor(turn.label) });
+        });
+    }
+
+    return result.map((sentence, index) => ({ ...sentence, index }));
+}
+
+module.exports = {
+    assignSpeakers
+};
@@ -0,0 +1,77 @@
+const { Transform } = require('stream');
+const { PCM_FORMATS } = require('./decoder');
+const { AudioDecodeError } = require('./errors');
+const SentenceSegmenter = require('./segmenter');
+
+class SentenceStream extends Transform {
+    constructor(detector, options = {}) {
+        super({ writableObjectMode: true, readableObjectMode: true });
+
+        if (!options.sampleRate || options.sampleRate <= 0) {
+            throw new Error('createStream() requires a positive sampleRate');
+        }
+
+        this.format = options.format || 'f32le';
+        if (!PCM_FORMATS[this.format]) {
+            throw new AudioDecodeError(`Unsupported PCM format '${this.format}'`);
+        }
+
+        this.detector = detector;
+        this.sampleRate = options.sampleRate;
+        this.segmenter = new SentenceSegmenter(detector, this.sampleRate);
+        this.byteRemainder = null;
+    }
+
+    _transform(chunk, encoding, callback) {
+        try {
+            this.pushSentences(this.segmenter.write(this.toSamples(chunk)));
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            this.pushSentences(this.segmenter.end());
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    pushSentences(sentences) {
+        for (const sentence of sentences) {
+            this.emit('sentence', sentence);
+            this.push(sentence);
+        }
+    }
+
+    toSamples(chunk) {
+        if (chunk instanceof Float32Array) {
+            return chunk;
+        }
+        if (!Buffer.isBuffer(chunk)) {
+            throw new TypeError('Stream chunks must be Float32Array or Buffer');
+        }
+        const { bytes, read } = PCM_FORMATS[this.format];
+
+        // Buffers may split a sample across chunks
+        if (this.byteRemainder) {
+            chunk = Buffer.concat([this.byteRemainder, chunk]);
+            this.byteRemainder = null;
+        }
+        const usable = chunk.length - (chunk.length % bytes);
+        if (usable < chunk.length) {
+            this.byteRemainder = Buffer.from(chunk.subarray(usable));
+        }
+
+        const samples = new Float32Array(usable / bytes);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = read(chunk, i * bytes);
+        }
+        return samples;
+    }
+}
+
+module.exports = SentenceStream;
@@ -0,0 +1,169 @@
+// Synthetic test recordings with known sentence positions, so detector
+// settings can be evaluated offline and reproducibly. The same seed always
+// gives the same samples.
+
+// Formant frequencies (Hz) of the vowels the speech bursts cycle through
+const VOWELS = [
+    [730, 1090, 2440], // a
+    [530, 1840, 2480], // e
+    [270, 2290, 3010], // i
+    [570, 840, 2410], // o
+    [300, 870, 2240] // u
+];
+const FORMANT_BANDWIDTH = 120;
+const SYLLABLE_RATE = 4.5; // syllables per second
+const CONSONANT_DURATION = 0.04; // seconds, with `consonants`
+const HIGHEST_HARMONIC = 4000; // Hz
+// Semitones above A3 the music segments pick their notes from
+const PENTATONIC = [0, 2, 4, 7, 9, 12];
+
+// Park-Miller generator, uniform in [-0.5, 0.5)
+function createRandom(seed) {
+    let state = Math.max(1, Math.floor(seed) % 2147483647);
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647 - 0.5;
+    };
+}
+
+// Voiced, speech-like burst: harmonics of a drifting pitch shaped by vowel
+// formants, with syllable-rate loudness dips. `consonants` opens every syllable
+// with a short voiceless consonant instead.
+function renderSpeech(output, offset, length, sampleRate, segment, random) {
+    const amplitude = segment.amplitude !== undefined ? segment.amplitude : 0.3;
+    const basePitch = segment.pitch !== undefined ? segment.pitch : 120;
+    // Largest relative pitch change either side of basePitch
+    const glide = segment.glide !== undefined ? segment.glide : 0.05;
+    const syllableLength = Math.round(sampleRate / SYLLABLE_RATE);
+    const consonantLength = segment.consonants ? Math.round(CONSONANT_DURATION * sampleRate) : 0;
+    const firstVowel = Math.floor((random() + 0.5) * VOWELS.length);
+    const fade = Math.min(Math.round(0.01 * sampleRate), Math.floor(length / 2));
+    let phase = 0;
+
+    for (let syllableStart = 0; syllableStart < length; syllableStart += syllableLength) {
+        const formants = VOWELS[(firstVowel + syllableStart / syllableLength) % VOWELS.length];
+        const syllableEnd = Math.min(length, syllableStart + syllableLength);
+        const pitchStart = basePitch * (1 + 2 * glide * random());
+        const pitchEnd = basePitch * (1 + 2 * glide * random());
+
+        const harmonicCount = Math.floor(HIGHEST_HARMONIC / basePitch);
+        const weights = new Float64Array(harmonicCount + 1);
+        let weightSum = 0;
+        for (let h = 1; h <= harmonicCount; h++) {
+            const frequency = h * basePitch;
+            weights[h] = formants.reduce((sum, formant, i) => {
+                const distance = (frequency - formant) / FORMANT_BANDWIDTH;
+                return sum + Math.exp(-distance * distance / 2) / (i + 1);
+            }, 0.02);
+            weightSum += weights[h];
+        }
+
+        for (let i = syllableStart; i < syllableEnd; i++) {
+            const progress = (i - syllableStart) / syllableLength;
+            const pitch = pitchStart + (pitchEnd - pitchStart) * progress;
+            phase += 2 * Math.PI * pitch / sampleRate;
+
+            let sample = 0;
+            for (let h = 1; h <= harmonicCount; h++) {
+                sample += weights[h] * Math.sin(h * phase);
+            }
+
+            // Loudness dips to a third between syllables, plus fades at the edges of the burst
+            let envelope = 1 - 0.66 * Math.pow(Math.cos(Math.PI * progress), 8);
+            if (i < fade) envelope *= i / fade;
+            if (length - i < fade) envelope *= (length - i) / fade;
+
+            const source = i - syllableStart < consonantLength ? 0.4 * random() : sample / weightSum;
+            output[offset + i] += amplitude * envelope * (source + 0.01 * random());
+        }
+    }
+}
+
+function renderTone(output, offset, length, sampleRate, segment) {
+    const amplitude = segment.amplitude !== undefined ? segment.amplitude : 0.3;
+    const frequency = segment.frequency !== undefined ? segment.frequency : 440;
+    for (let i = 0; i < length; i++) {
+        output[offset + i] += amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+}
+
+// Notes of a pentatonic melody, one per beat, each with a few decaying harmonics
+function renderMusic(output, offset, length, sampleRate, segment, random) {
+    const amplitude = segment.amplitude !== undefined ? segment.amplitude : 0.2;
+    const beatLength = Math.round(60 / (segment.tempo !== undefined ? segment.tempo : 120) * sampleRate);
+
+    for (let beatStart = 0; beatStart < length; beatStart += beatLength) {
+        const note = PENTATONIC[Math.floor((random() + 0.5) * PENTATONIC.length)];
+        const frequency = 220 * Math.pow(2, note / 12);
+        const beatEnd = Math.min(length, beatStart + beatLength);
+
+        for (let i = beatStart; i < beatEnd; i++) {
+            const t = (i - beatStart) / sampleRate;
+            const envelope = Math.min(1, t / 0.01) * Math.exp(-3 * t);
+            let sample = 0;
+            for (let h = 1; h <= 5; h++) {
+                sample += Math.sin(2 * Math.PI * h * frequency * t) / h;
+            }
+            output[offset + i] += amplitude * envelope * sample / 2;
+        }
+    }
+}
+
+function renderNoise(output, offset, length, sampleRate, segment, random) {
+    // Uniform noise of the requested RMS
+    const amplitude = (segment.amplitude !== undefined ? segment.amplitude : 0.1) * Math.sqrt(12);
+    for (let i = 0; i < length; i++) {
+        output[offset + i] += amplitude * random();
+    }
+}
+
+const RENDERERS = {
+    speech: renderSpeech,
+    tone: renderTone,
+    music: renderMusic,
+    noise: renderNoise,
+    pause: () => {}
+};
+
+// Renders `segments` ({ type: 'speech' | 'pause' | 'tone' | 'music' | 'noise', duration, ... })
+// one after another. Every speech segment becomes one reference sentence.
+function generateTestAudio(options = {}) {
+    const sampleRate = options.sampleRate || 44100;
+    const segments = options.segments || [];
+    const random = createRandom(options.seed !== undefined ? options.seed : 1);
+
+    const lengths = segments.map((segment, i) => {
+        if (!RENDERERS[segment.type]) {
+            throw new Error(`Unknown segment type '${segment.type}' at index ${i}. Supported: ${Object.keys(RENDERERS).join(', ')}`);
+        }
+        if (typeof segment.duration !== 'number' || !(segment.duration >= 0)) {
+            throw new Error(`Segment ${i} needs a non-negative duration`);
+        }
+        return Math.round(segment.duration * sampleRate);
+    });
+
+    const samples = new Float32Array(lengths.reduce((sum, length) => sum + length, 0));
+    const reference = [];
+    let offset = 0;
+
+    segments.forEach((segment, i) => {
+        RENDERERS[segment.type](samples, offset, lengths[i], sampleRate, segment, random);
+        if (segment.type === 'speech') {
+            const start = offset / sampleRate;
+            const end = (offset + lengths[i]) / sampleRate;
+            reference.push({ index: reference.length, start, end, duration: end - start });
+        }
+        offset += lengths[i];
+    });
+
+    // Background noise under everything
+    if (options.noiseLevel > 0) {
+        renderNoise(samples, 0, samples.length, sampleRate, { amplitude: options.noiseLevel }, random);
+    }
+
+    return { samples, sampleRate, reference };
+}
+
+module.exports = {
+    generateTestAudio
+};
@@ -0,0 +1,79 @@
+// Voice activity detectors turn one analysis frame into a voice probability.
+//
+// A detector is either a function `frame => probability` or an object with a
+// `process(frame)` method and an optional `reset()` called before each detection
+// run. `frame` holds the raw `samples`, `sampleRate`, `time` (seconds) and the
+// features the detector already computed: `rms`, `zcr`, `spectralCentroid`,
+// `formantScores` and `voiceBandEnergy`. The probability (0-1) is compared
+// against the detector's `vadThreshold` option. Detectors run synchronously,
+// once per frame and in order.
+
+const { InvalidOptionError } = require('./errors');
+
+const DEFAULT_WEIGHTS = [0.3, 0.2, 0.3, 0.2]; // zcr, centroid, formants, energy
+
+function createHeuristicVAD(options = {}) {
+    const weights = options.weights || DEFAULT_WEIGHTS;
+    const zeroCrossingRateThreshold = options.zeroCrossingRateThreshold !== undefined ? options.zeroCrossingRateThreshold : 0.3;
+    const voiceActivityThreshold = options.voiceActivityThreshold !== undefined ? options.voiceActivityThreshold : 0.4;
+
+    return {
+        name: 'heuristic',
+        process(frame) {
+            const zcrScore = frame.zcr > 0.1 && frame.zcr < zeroCrossingRateThreshold ? 1 : 0;
+            const centroidScore = frame.spectralCentroid > 100 && frame.spectralCentroid < 3000 ? 1 : 0;
+            const formantScore = frame.formantScores.reduce((acc, score) => acc + (score > 0.1 ? 1 : 0), 0) / frame.formantScores.length;
+            const energyScore = frame.voiceBandEnergy > voiceActivityThreshold ? 1 : 0;
+
+            const finalScore = (
+                zcrScore * weights[0] +
+                centroidScore * weights[1] +
+                formantScore * weights[2] +
+                energyScore * weights[3]
+            );
+
+            if (options.debug) {
+                console.log('Voice detection scores:', {
+                    zcr: zcrScore,
+                    centroid: centroidScore,
+                    formant: formantScore,
+                    energy: energyScore,
+                    final: finalScore
+                });
+            }
+
+            return finalScore;
+        }
+    };
+}
+
+function createEnergyVAD(options = {}) {
+    // Maps RMS between floor and ceiling (dBFS) linearly onto 0-1; suited to speech without music
+    const floor = options.floor !== undefined ? options.floor : -50;
+    const ceiling = options.ceiling !== undefined ? options.ceiling : -30;
+
+    return {
+        name: 'energy',
+        process(frame) {
+            const level = 20 * Math.log10(Math.max(frame.rms, 1e-10));
+            return Math.min(1, Math.max(0, (level - floor) / (ceiling - floor)));
+        }
+    };
+}
+
+function toVAD(vad) {
+    if (typeof vad === 'function') {
+        return { name: vad.name || 'custom', process: vad };
+    }
+    if (vad && typeof vad.process === 'function') {
+        return vad;
+    }
+    throw new InvalidOptionError('vad', vad, 'a function or an object with a process(frame) method');
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    createHeuristicVAD,
+    createEnergyVAD,
+    toVAD
+};
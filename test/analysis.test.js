@@ -0,0 +1,46 @@
+const AudioSentenceDetector = require('../src/index');
+const { encodeWav } = require('../src/encoder');
+const { InvalidOptionError } = require('../src/errors');
+const { testAudio } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+
+describe('analyze and segment', () => {
+    test('segment(analyze(x)) equals detect(x)', async () => {
+        const detector = new AudioSentenceDetector();
+        const wav = encodeWav([samples], sampleRate, { bitDepth: 32 });
+        // Analyses are meant to be stored, so they must survive JSON
+        const analysis = JSON.parse(JSON.stringify(await detector.analyze(wav)));
+
+        expect(detector.segment(analysis)).toEqual(await detector.detect(wav));
+    });
+
+    describe('with every optional feature analysed', () => {
+        const base = { boundaryStrategy: 'prosody', prosodyThreshold: 0.4, speakerDetection: true, soundClassification: true };
+        const detector = new AudioSentenceDetector(base);
+        let analysis;
+
+        beforeAll(async () => {
+            analysis = await detector.analyzeFromSamples(samples, sampleRate);
+        });
+
+        test.each([
+            [{ minSilenceDuration: 0.3 }],
+            [{ maxSentenceLength: 2, allowGaps: false }],
+            [{ minSegmentLength: 2, vadThreshold: 0.5, minProbability: 0.2, padStart: 0.1, regionMergeGap: 0.2 }]
+        ])('changed options give the same result as detecting with them: %p', async options => {
+            const expected = await new AudioSentenceDetector({ ...base, ...options }).detectFromSamples(samples, sampleRate, { timeline: true });
+
+            expect(expected.sentences.length).toBeGreaterThan(1);
+            expect(detector.segment(analysis, options, { timeline: true })).toEqual(expected);
+        });
+    });
+
+    test('options the analysis depends on cannot change', async () => {
+        const detector = new AudioSentenceDetector();
+        const analysis = await detector.analyzeFromSamples(samples, sampleRate);
+
+        expect(() => detector.segment(analysis, { hopSize: 1024 })).toThrow(InvalidOptionError);
+        expect(() => detector.segment(analysis, { speakerDetection: true })).toThrow(/analyze\(\) with it enabled/);
+    });
+});
@@ -0,0 +1,100 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const BrowserDetector = require('../src/browser');
+const AudioSentenceDetector = require('../src/index');
+const { AudioDecodeError } = require('../src/errors');
+const { DIALOGUE, testAudio } = require('./helpers');
+
+const ROOT = path.join(__dirname, '..');
+const { samples, sampleRate } = testAudio();
+
+// What decodeAudioData() resolves to
+function audioBuffer(channelData, rate) {
+    return {
+        numberOfChannels: channelData.length,
+        sampleRate: rate,
+        length: channelData[0].length,
+        getChannelData: channel => channelData[channel]
+    };
+}
+
+let expected;
+beforeAll(async () => {
+    expected = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate);
+});
+
+describe('browser entry', () => {
+    afterEach(() => {
+        delete global.OfflineAudioContext;
+    });
+
+    test('detects sentences in an AudioBuffer like the Node.js build', async () => {
+        expect(await new BrowserDetector().detect(audioBuffer([samples], sampleRate))).toEqual(expected);
+    });
+
+    test('decodes encoded audio with Web Audio, from a copy of the input', async () => {
+        const encoded = new Uint8Array([1, 2, 3, 4, 5, 6]);
+        const decoded = [];
+        global.OfflineAudioContext = class {
+            async decodeAudioData(data) {
+                decoded.push(data);
+                return audioBuffer([samples], sampleRate);
+            }
+        };
+
+        expect(await new BrowserDetector().detect(encoded.subarray(2))).toEqual(expected);
+        expect(decoded[0]).not.toBe(encoded.buffer);
+        expect([...new Uint8Array(decoded[0])]).toEqual([3, 4, 5, 6]);
+    });
+
+    test('reports what it cannot decode', async () => {
+        global.OfflineAudioContext = class {
+            async decodeAudioData() {
+                throw new Error('Unsupported format');
+            }
+        };
+        const detector = new BrowserDetector();
+
+        await expect(detector.detect(new ArrayBuffer(8))).rejects.toThrow(AudioDecodeError);
+        await expect(detector.detect(new ArrayBuffer(8))).rejects.toThrow(/Unsupported format/);
+        await expect(detector.detect(new ArrayBuffer(8), { pcm: { sampleRate } })).rejects.toThrow(/Raw PCM/);
+        await expect(detector.detect('speech.wav')).rejects.toThrow(/AudioBuffer, ArrayBuffer or typed array/);
+        expect(() => detector.extractClips({ channels: 1, sampleRate, channelData: [samples] }, expected, { encode: 'wav' }))
+            .toThrow(/Node.js build/);
+    });
+});
+
+describe('browser bundle', () => {
+    // The bundle is an ES module, so it is loaded by a separate Node.js process
+    const run = script => JSON.parse(execFileSync(process.execPath, ['--input-type=module', '-e', script], { cwd: ROOT, encoding: 'utf8' }));
+
+    beforeAll(() => {
+        execFileSync(process.execPath, [path.join(ROOT, 'scripts/build-browser.js')], { cwd: ROOT });
+    });
+
+    test('has the default and named exports and gives the same sentences as the sources', async () => {
+        const bundle = pathToFileURL(path.join(ROOT, 'dist/browser.mjs')).href;
+        const result = run(`
+            import AudioSentenceDetector, * as named from ${JSON.stringify(bundle)};
+            const { samples, sampleRate } = named.generateTestAudio(${JSON.stringify({ sampleRate, seed: 3, noiseLevel: 0.002, segments: DIALOGUE })});
+            let invalidOption = false;
+            try {
+                new AudioSentenceDetector({ hopSize: -1 });
+            } catch (error) {
+                invalidOption = error instanceof named.InvalidOptionError && error instanceof named.AudioSentenceDetectorError;
+            }
+            console.log(JSON.stringify({
+                named: Object.keys(named).filter(name => name !== 'default').sort(),
+                live: named.LiveSentenceDetector === AudioSentenceDetector.LiveSentenceDetector,
+                invalidOption,
+                sentences: await new AudioSentenceDetector().detectFromSamples(samples, sampleRate)
+            }));
+        `);
+
+        expect(result.named).toEqual(expect.arrayContaining(['LiveSentenceDetector', 'AbortError', 'evaluate', 'formatSentences', 'parseSentences']));
+        expect(result.live).toBe(true);
+        expect(result.invalidOption).toBe(true);
+        expect(result.sentences).toEqual(expected);
+    });
+});
@@ -0,0 +1,60 @@
+const AudioSentenceDetector = require('../src/index');
+const { encodeWav } = require('../src/encoder');
+const { testAudio } = require('./helpers');
+
+// Two sides of a call: each speaks while the other is silent
+const { samples: left, sampleRate } = testAudio([
+    { type: 'pause', duration: 0.3 }, { type: 'speech', duration: 1.2 }, { type: 'pause', duration: 3.5 }
+]);
+const { samples: right } = testAudio([
+    { type: 'pause', duration: 2.5 }, { type: 'speech', duration: 1.5 }, { type: 'pause', duration: 1 }
+]);
+const { samples: quiet } = testAudio([{ type: 'pause', duration: 5 }]);
+
+const detect = (options, channels) => new AudioSentenceDetector(options).detectFromSamples(channels, sampleRate);
+
+describe('channelMode', () => {
+    let alone;
+    beforeAll(async () => {
+        alone = { left: await detect({}, left), right: await detect({}, right) };
+        expect(alone.left).toHaveLength(1);
+        expect(alone.right).toHaveLength(1);
+    });
+
+    test("'single' uses the given channel", async () => {
+        expect(await detect({}, [quiet, right])).toEqual([]);
+        expect(await detect({ channel: 1 }, [quiet, right])).toEqual(alone.right);
+    });
+
+    test("'single' rejects a channel the audio does not have", async () => {
+        await expect(detect({ channel: 2 }, [quiet, right])).rejects.toThrow(/Channel 2 does not exist \(audio has 2 channels\)/);
+    });
+
+    test("'maxEnergy' uses the loudest channel", async () => {
+        expect(await detect({ channelMode: 'maxEnergy' }, [quiet, right])).toEqual(alone.right);
+        expect(await detect({ channelMode: 'maxEnergy' }, [right, quiet])).toEqual(alone.right);
+    });
+
+    test("'mix' averages the channels", async () => {
+        const detector = new AudioSentenceDetector({ channelMode: 'mix' });
+        expect(Array.from(detector.mixChannels([new Float32Array([1, 0.5]), new Float32Array([0, 0.5, 9])]))).toEqual([0.5, 0.5]);
+        expect(detector.mixChannels([right])).toBe(right);
+
+        // Both sides end up in one list
+        const mixed = await detect({ channelMode: 'mix' }, [left, right]);
+        expect(mixed).toHaveLength(2);
+        expect(mixed[0].end).toBeCloseTo(alone.left[0].end, 1);
+        expect(mixed[1].start).toBeCloseTo(alone.right[0].start, 1);
+    });
+
+    test("'perChannel' gives each channel its own sentences", async () => {
+        expect(await detect({ channelMode: 'perChannel' }, [left, right])).toEqual([alone.left, alone.right]);
+    });
+
+    test("'perChannel' works on decoded stereo files", async () => {
+        const detector = new AudioSentenceDetector({ channelMode: 'perChannel' });
+        const results = await detector.detect(encodeWav([left, right], sampleRate, { bitDepth: 32 }));
+
+        expect(results).toEqual([alone.left, alone.right]);
+    });
+});
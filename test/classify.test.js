@@ -0,0 +1,34 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio, streamSentences } = require('./helpers');
+
+describe("nonSpeech: 'exclude'", () => {
+    // The synthetic speech holds its pitch steadily enough to pass for music after a second or two
+    const { samples, sampleRate } = testAudio([
+        { type: 'pause', duration: 0.5 },
+        { type: 'speech', duration: 3, consonants: true },
+        { type: 'pause', duration: 0.8 },
+        { type: 'music', duration: 3 },
+        { type: 'pause', duration: 0.8 },
+        { type: 'speech', duration: 2.5, consonants: true },
+        { type: 'pause', duration: 0.5 }
+    ]);
+    const spans = sentences => sentences.map(s => [s.start, s.end]);
+    let excluded;
+
+    beforeAll(async () => {
+        excluded = await new AudioSentenceDetector({ nonSpeech: 'exclude' }).detectFromSamples(samples, sampleRate);
+    });
+
+    test('drops the music and keeps the speech sentences whole', async () => {
+        const labelled = await new AudioSentenceDetector({ soundClassification: true }).detectFromSamples(samples, sampleRate);
+
+        expect(labelled.map(s => s.soundClass)).toEqual(['speech', 'music', 'speech']);
+        expect(spans(excluded)).toEqual(spans(labelled.filter(s => s.soundClass === 'speech')));
+    });
+
+    test('gives the same sentences in a stream', async () => {
+        const detector = new AudioSentenceDetector({ nonSpeech: 'exclude' });
+
+        expect(await streamSentences(detector, samples, sampleRate, [333, 4099, 1021])).toEqual(excluded);
+    });
+});
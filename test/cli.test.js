@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs, UsageError, EXIT_OK, EXIT_USAGE } = require('../src/cli');
+const { testAudio } = require('./helpers');
+const { encodeWav } = require('../src/encoder');
+
+function collect() {
+    let text = '';
+    return { write: chunk => { text += chunk; }, get text() { return text; } };
+}
+
+describe('boolean flags', () => {
+    test('take true or false as an inline value', () => {
+        expect(parseArgs(['x.wav', '--allow-gaps=false']).detectorOptions.allowGaps).toBe(false);
+        expect(parseArgs(['x.wav', '--allow-gaps=true']).detectorOptions.allowGaps).toBe(true);
+        expect(parseArgs(['x.wav', '--no-allow-gaps']).detectorOptions.allowGaps).toBe(false);
+    });
+
+    test('reject any other value', () => {
+        expect(() => parseArgs(['x.wav', '--allow-gaps=no'])).toThrow(UsageError);
+        expect(() => parseArgs(['x.wav', '--allow-gaps=0'])).toThrow(/expects true or false/);
+        expect(() => parseArgs(['x.wav', '--no-allow-gaps=true'])).toThrow(/does not take a value/);
+    });
+});
+
+describe('output paths', () => {
+    let dir;
+    const write = file => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), wav);
+    };
+    const run = argv => {
+        const stdout = collect();
+        const stderr = collect();
+        return main([...argv, '-q', '-j', '1'], { stdout, stderr }).then(code => ({ code, stderr: stderr.text }));
+    };
+    const { samples, sampleRate } = testAudio([{ type: 'pause', duration: 0.3 }, { type: 'speech', duration: 1.5 }, { type: 'pause', duration: 0.5 }]);
+    const wav = encodeWav([samples], sampleRate);
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asd-cli-'));
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('files with the same name in different folders keep their folders under --output-dir', async () => {
+        write('in/a/x.wav');
+        write('in/b/x.wav');
+
+        const { code } = await run([path.join(dir, 'in'), '-o', path.join(dir, 'out')]);
+
+        expect(code).toBe(EXIT_OK);
+        expect(fs.existsSync(path.join(dir, 'out/a/x.json'))).toBe(true);
+        expect(fs.existsSync(path.join(dir, 'out/b/x.json'))).toBe(true);
+    });
+
+    test('inputs that would write the same result are a usage error', async () => {
+        write('in/x.wav');
+        write('in/x.mp3');
+
+        const { code, stderr } = await run([path.join(dir, 'in'), '-o', path.join(dir, 'out')]);
+
+        expect(code).toBe(EXIT_USAGE);
+        expect(stderr).toMatch(/would both write/);
+        expect(fs.existsSync(path.join(dir, 'out'))).toBe(false);
+    });
+});
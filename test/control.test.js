@@ -0,0 +1,82 @@
+const AudioSentenceDetector = require('../src/index');
+const { AbortError, TimeoutError } = require('../src/errors');
+const { testAudio } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+
+describe.each([
+    ['detectFromSamples', (detector, options) => detector.detectFromSamples(samples, sampleRate, options)],
+    ['analyzeFromSamples', (detector, options) => detector.analyzeFromSamples(samples, sampleRate, options)]
+])('%s', (_, run) => {
+    test('rejects with an AbortError carrying the reason when aborted before it starts', async () => {
+        const controller = new AbortController();
+        controller.abort('closed by the user');
+        const error = await run(new AudioSentenceDetector(), { signal: controller.signal }).catch(e => e);
+
+        expect(error).toBeInstanceOf(AbortError);
+        expect(error).not.toBeInstanceOf(TimeoutError);
+        expect(error.reason).toBe('closed by the user');
+    });
+
+    test('stops at the next yield when aborted while analysing', async () => {
+        const controller = new AbortController();
+        const reason = new Error('navigated away');
+        const fractions = [];
+        const onProgress = fraction => {
+            fractions.push(fraction);
+            if (fraction > 0.2) controller.abort(reason);
+        };
+        const error = await run(new AudioSentenceDetector(), { signal: controller.signal, onProgress }).catch(e => e);
+
+        expect(error).toBeInstanceOf(AbortError);
+        expect(error.reason).toBe(reason);
+        expect(Math.max(...fractions)).toBeLessThan(1);
+    });
+
+    test('rejects with a TimeoutError', async () => {
+        const error = await run(new AudioSentenceDetector(), { timeout: 20 }).catch(e => e);
+
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error).toBeInstanceOf(AbortError);
+        expect(error.timeout).toBe(20);
+        expect(error.message).toBe('Detection timed out after 20 ms');
+    });
+
+    test('reports growing progress up to 1 with the time analysed', async () => {
+        const reports = [];
+        await run(new AudioSentenceDetector(), { onProgress: (fraction, currentTime) => reports.push([fraction, currentTime]) });
+
+        expect(reports.length).toBeGreaterThan(1);
+        for (let i = 1; i < reports.length; i++) {
+            expect(reports[i][0]).toBeGreaterThan(reports[i - 1][0]);
+            expect(reports[i][1]).toBeGreaterThanOrEqual(reports[i - 1][1]);
+        }
+        expect(reports[0][0]).toBeGreaterThan(0);
+        expect(reports[reports.length - 1][0]).toBe(1);
+        expect(reports[reports.length - 1][1]).toBeCloseTo(samples.length / sampleRate, 1);
+    });
+});
+
+describe('other errors', () => {
+    test('are wrapped like in detect()', async () => {
+        const detector = new AudioSentenceDetector();
+
+        await expect(detector.detectFromSamples([0.1, 0.2], sampleRate)).rejects.toThrow(/^Error processing audio buffer: detectFromSamples\(\) expects a Float32Array/);
+        await expect(detector.analyzeFromSamples(samples, 0)).rejects.toThrow(/^Error processing audio buffer: analyzeFromSamples\(\) requires a positive sampleRate/);
+    });
+});
+
+describe('perChannel progress', () => {
+    test('gives each channel an equal share', async () => {
+        const fractions = [];
+        const half = samples.subarray(0, Math.floor(samples.length / 2));
+        await new AudioSentenceDetector({ channelMode: 'perChannel' }).detectFromSamples([half, half], sampleRate, {
+            onProgress: fraction => fractions.push(fraction)
+        });
+
+        expect(fractions).toContain(0.5);
+        expect(fractions.some(fraction => fraction < 0.5)).toBe(true);
+        expect(fractions.some(fraction => fraction > 0.5)).toBe(true);
+        expect(fractions[fractions.length - 1]).toBe(1);
+    });
+});
@@ -0,0 +1,163 @@
+const AudioSentenceDetector = require('../src/index');
+const { AudioDecodeError } = require('../src/errors');
+
+const { decodeWav } = AudioSentenceDetector;
+
+// A chunk with its 8-byte header; `size` overrides the declared body size
+function chunk(id, body, size = body.length) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(size, 4);
+    // Odd-sized bodies are followed by a pad byte
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+}
+
+function riff(...chunks) {
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(4 + chunks.reduce((sum, c) => sum + c.length, 0), 4);
+    header.write('WAVE', 8, 'ascii');
+    return Buffer.concat([header, ...chunks]);
+}
+
+// `container` is the bytes each sample is stored in; WAVE_FORMAT_EXTENSIBLE
+// carries the actual format in its SubFormat GUID
+function fmt({ format, channels = 1, sampleRate = 8000, bits, container = bits / 8, extensible = false }) {
+    const body = Buffer.alloc(extensible ? 40 : 16);
+    body.writeUInt16LE(extensible ? 0xfffe : format, 0);
+    body.writeUInt16LE(channels, 2);
+    body.writeUInt32LE(sampleRate, 4);
+    body.writeUInt32LE(sampleRate * channels * container, 8);
+    body.writeUInt16LE(channels * container, 12);
+    body.writeUInt16LE(bits, 14);
+    if (extensible) {
+        body.writeUInt16LE(22, 16);
+        body.writeUInt16LE(bits, 18);
+        body.writeUInt16LE(format, 24);
+        Buffer.from('000000001000800000aa00389b71', 'hex').copy(body, 26);
+    }
+    return chunk('fmt ', body);
+}
+
+function samples(bytes, values, write) {
+    const body = Buffer.alloc(values.length * bytes);
+    values.forEach((value, i) => write(body, value, i * bytes));
+    return body;
+}
+
+const channel = (decoded, c) => Array.from(decoded.channelData[c]);
+
+describe('decodeWav', () => {
+    test('reads 24-bit PCM', () => {
+        const body = samples(3, [8388607, -8388608, 4194304, -1, 0, 256], (b, v, o) => b.writeIntLE(v, o, 3));
+        const decoded = decodeWav(riff(fmt({ format: 1, channels: 2, sampleRate: 48000, bits: 24 }), chunk('data', body)));
+
+        expect(decoded).toMatchObject({ channels: 2, sampleRate: 48000 });
+        expect(channel(decoded, 0)).toEqual([8388607 / 8388608, 0.5, 0]);
+        expect(channel(decoded, 1)).toEqual([-1, -1 / 8388608, 256 / 8388608]);
+    });
+
+    test('reads 32-bit and 64-bit float', () => {
+        const values = [0.25, -0.5, 1, -0.125];
+        const float32 = decodeWav(riff(fmt({ format: 3, bits: 32 }), chunk('data', samples(4, values, (b, v, o) => b.writeFloatLE(v, o)))));
+        const float64 = decodeWav(riff(fmt({ format: 3, bits: 64 }), chunk('data', samples(8, values, (b, v, o) => b.writeDoubleLE(v, o)))));
+
+        expect(channel(float32, 0)).toEqual(values);
+        expect(channel(float64, 0)).toEqual(values);
+    });
+
+    test('reads WAVE_FORMAT_EXTENSIBLE by its SubFormat', () => {
+        const float32 = decodeWav(riff(
+            fmt({ format: 3, channels: 2, bits: 32, extensible: true }),
+            chunk('data', samples(4, [0.5, -0.5, 0.75, -0.75], (b, v, o) => b.writeFloatLE(v, o)))
+        ));
+        expect(channel(float32, 0)).toEqual([0.5, 0.75]);
+        expect(channel(float32, 1)).toEqual([-0.5, -0.75]);
+
+        // 20 valid bits in 3-byte containers are read by the container size
+        const pcm20 = decodeWav(riff(
+            fmt({ format: 1, bits: 20, container: 3, extensible: true }),
+            chunk('data', samples(3, [4194304, -8388608], (b, v, o) => b.writeIntLE(v, o, 3)))
+        ));
+        expect(channel(pcm20, 0)).toEqual([0.5, -1]);
+    });
+
+    test('reads A-law and mu-law', () => {
+        const alaw = decodeWav(riff(fmt({ format: 6, bits: 8 }), chunk('data', Buffer.from([0xd5, 0x55, 0xaa]))));
+        const mulaw = decodeWav(riff(fmt({ format: 7, bits: 8 }), chunk('data', Buffer.from([0xff, 0x80, 0x00]))));
+
+        expect(channel(alaw, 0)).toEqual([8 / 32768, -8 / 32768, 32256 / 32768]);
+        expect(channel(mulaw, 0)).toEqual([0, 32124 / 32768, -32124 / 32768]);
+    });
+
+    test('finds the chunks in any order and skips odd-sized ones', () => {
+        const data = chunk('data', Buffer.from([255, 128, 0]));
+        const list = chunk('LIST', Buffer.from('INFOISFT\x05\x00\x00\x00test\x00', 'binary'));
+        const expected = [127 / 128, 0, -1];
+
+        for (const file of [
+            riff(fmt({ format: 1, bits: 8 }), list, data),
+            riff(data, list, fmt({ format: 1, bits: 8 })),
+            riff(list, chunk('fact', Buffer.from([3, 0, 0, 0])), data, fmt({ format: 1, bits: 8 }), chunk('junk', Buffer.alloc(7)))
+        ]) {
+            expect(channel(decodeWav(file), 0)).toEqual(expected);
+        }
+    });
+
+    test('reads to the end of the file when the data size is unset or too large', () => {
+        const body = samples(2, [16384, -16384, 8192], (b, v, o) => b.writeInt16LE(v, o));
+        const expected = [0.5, -0.5, 0.25];
+
+        expect(channel(decodeWav(riff(fmt({ format: 1, bits: 16 }), chunk('data', body, 0))), 0)).toEqual(expected);
+        expect(channel(decodeWav(riff(fmt({ format: 1, bits: 16 }), chunk('data', body, 0xffffffff))), 0)).toEqual(expected);
+        // An incomplete last frame is dropped
+        expect(channel(decodeWav(riff(fmt({ format: 1, bits: 16 }), chunk('data', body.subarray(0, 5)))), 0)).toEqual([0.5, -0.5]);
+    });
+
+    test.each([
+        ['a missing fmt chunk', () => riff(chunk('data', Buffer.alloc(4))), 'fmt ', /Missing 'fmt ' chunk/],
+        ['a missing data chunk', () => riff(fmt({ format: 1, bits: 16 })), 'data', /Missing 'data' chunk/],
+        ['a short fmt chunk', () => riff(chunk('fmt ', Buffer.alloc(14)), chunk('data', Buffer.alloc(4))), 'fmt ', /at least 16 bytes/],
+        ['a short extensible fmt chunk', () => {
+            const file = riff(fmt({ format: 1, bits: 16 }), chunk('data', Buffer.alloc(4)));
+            file.writeUInt16LE(0xfffe, 20);
+            return file;
+        }, 'fmt ', /WAVE_FORMAT_EXTENSIBLE needs 40 bytes/],
+        ['an unsupported format', () => riff(fmt({ format: 2, bits: 4, container: 1 }), chunk('data', Buffer.alloc(4))), 'fmt ', /unsupported audio format 0x2/],
+        ['an unsupported sample size', () => riff(fmt({ format: 3, bits: 16 }), chunk('data', Buffer.alloc(4))), 'fmt ', /unsupported sample size of 16 bits/],
+        ['a truncated fmt chunk', () => riff(chunk('fmt ', Buffer.alloc(16), 40)), 'fmt ', /exceeds the 16 bytes left/],
+        ['a non-WAVE RIFF file', () => Buffer.from('RIFF\x04\x00\x00\x00AVI ', 'binary'), 'RIFF', /expected WAVE form type, got 'AVI '/]
+    ])('rejects %s with the chunk it was found in', (_, file, chunkId, message) => {
+        const error = (() => {
+            try {
+                decodeWav(file());
+            } catch (e) {
+                return e;
+            }
+            return null;
+        })();
+
+        expect(error).toBeInstanceOf(AudioDecodeError);
+        expect(error.chunk).toBe(chunkId);
+        expect(error.message).toMatch(message);
+    });
+});
+
+describe('decodeAudio', () => {
+    test('unreadable audio is rejected with an AudioDecodeError', async () => {
+        const detector = new AudioSentenceDetector();
+        const error = await detector.detect(Buffer.from('not an audio file at all')).catch(e => e);
+
+        expect(error).toBeInstanceOf(AudioDecodeError);
+        expect(error.message).toMatch(/^Could not decode audio: \S/);
+        expect(error.message).not.toMatch(/undefined/);
+    });
+
+    test('WAV input is decoded by the built-in decoder', async () => {
+        const body = samples(3, [4194304, -4194304], (b, v, o) => b.writeIntLE(v, o, 3));
+        const audioData = await new AudioSentenceDetector().getAudioData(riff(fmt({ format: 1, bits: 24, sampleRate: 16000 }), chunk('data', body)));
+
+        expect(audioData).toMatchObject({ channels: 1, sampleRate: 16000 });
+        expect(channel(audioData, 0)).toEqual([0.5, -0.5]);
+    });
+});
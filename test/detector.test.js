@@ -0,0 +1,164 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio } = require('./helpers');
+
+describe('maxSentenceLength', () => {
+    test.each([
+        ['after the last pause', [{ type: 'pause', duration: 0.8 }, { type: 'speech', duration: 1.5 }, { type: 'pause', duration: 0.8 }, { type: 'speech', duration: 8 }]],
+        ['without any pause', [{ type: 'speech', duration: 8 }]]
+    ])('splits speech running to the end %s', async (_, segments) => {
+        const { samples, sampleRate } = testAudio(segments);
+        const sentences = await new AudioSentenceDetector({ maxSentenceLength: 2 }).detectFromSamples(samples, sampleRate);
+
+        expect(sentences.length).toBeGreaterThanOrEqual(4);
+        for (const sentence of sentences) {
+            expect(sentence.duration).toBeLessThanOrEqual(2 + 1e-9);
+        }
+        expect(sentences[sentences.length - 1].end).toBeCloseTo(samples.length / sampleRate, 6);
+    });
+});
+
+describe('minSentenceLength', () => {
+    test('0 keeps short sentences but never gives an empty one', async () => {
+        const { samples, sampleRate } = testAudio([
+            { type: 'pause', duration: 1 }, { type: 'speech', duration: 1.5 },
+            { type: 'pause', duration: 1 }, { type: 'speech', duration: 0.4 },
+            { type: 'pause', duration: 1 }
+        ]);
+        const sentences = await new AudioSentenceDetector({ maxSentenceLength: 5, minSentenceLength: 0 }).detectFromSamples(samples, sampleRate);
+
+        expect(sentences).toHaveLength(2);
+        expect(sentences[0].start).toBeCloseTo(1, 1);
+        for (const sentence of sentences) {
+            expect(sentence.end).toBeGreaterThan(sentence.start);
+        }
+    });
+});
+
+describe('adaptiveThreshold', () => {
+    test('follows a step in the background noise', async () => {
+        const speech = [];
+        for (let i = 0; i < 5; i++) {
+            speech.push({ type: 'pause', duration: 1 }, { type: 'speech', duration: 1.4 });
+        }
+        const { samples, sampleRate } = testAudio(speech);
+        // Ten times louder noise from the middle on
+        const step = Math.floor(samples.length / 2);
+        const louder = testAudio([{ type: 'noise', duration: (samples.length - step) / sampleRate, amplitude: 0.02 }]).samples;
+        for (let i = step; i < samples.length; i++) {
+            samples[i] += louder[i - step];
+        }
+
+        const detector = new AudioSentenceDetector({ adaptiveThreshold: true, noiseFloorWindow: 2 });
+        const { sentences, timeline } = await detector.detectFromSamples(samples, sampleRate, { timeline: true });
+        const floorAt = time => timeline.find(frame => frame.time >= time).noiseFloor;
+
+        expect(floorAt(step / sampleRate - 0.1)).toBeLessThan(0.005);
+        expect(floorAt(samples.length / sampleRate - 0.1)).toBeGreaterThan(0.015);
+        expect(sentences).toHaveLength(5);
+
+        // The floor is the noiseFloorPercentile of the frame energies in the last noiseFloorWindow seconds
+        const size = Math.round(2 * sampleRate / detector.options.hopSize);
+        for (let i = size; i < timeline.length; i += 7) {
+            const recent = timeline.slice(i - size + 1, i + 1).map(frame => frame.rms).sort((a, b) => a - b);
+            expect(timeline[i].noiseFloor).toBe(Math.max(recent[Math.floor((size - 1) * 0.1)], 1e-5));
+        }
+    });
+});
+
+describe('regionMergeGap', () => {
+    const regions = [
+        { start: 1, end: 1.5, duration: 0.5, avgRMS: 0.01 },
+        { start: 1.9, end: 2.4, duration: 0.5, avgRMS: 0.03 },
+        { start: 3, end: 3.5, duration: 0.5, avgRMS: 0.01 }
+    ];
+
+    test('merges silent regions closer than the gap', () => {
+        const merged = new AudioSentenceDetector({ regionMergeGap: 0.5 }).mergeCloseRegions(regions);
+
+        expect(merged).toEqual([
+            { start: 1, end: 2.4, duration: 1.4, avgRMS: 0.02 },
+            regions[2]
+        ]);
+    });
+
+    test('keeps regions apart with a smaller gap', () => {
+        expect(new AudioSentenceDetector({ regionMergeGap: 0.3 }).mergeCloseRegions(regions)).toEqual(regions);
+        expect(new AudioSentenceDetector({ regionMergeGap: 0.7 }).mergeCloseRegions(regions)).toHaveLength(1);
+    });
+});
+
+describe('minSegmentLength', () => {
+    const segment = (index, start, end) => ({ index, start, end, duration: end - start, probability: 0.8 });
+    const spans = sentences => sentences.map(s => [s.start, s.end]);
+
+    test('never merges past maxSentenceLength', () => {
+        const detector = new AudioSentenceDetector({ minSegmentLength: 3, maxSentenceLength: 4, minSentenceLength: 0.5 });
+        const merged = detector.mergeShortSegments([
+            segment(0, 0, 1),
+            segment(1, 1.5, 2.5),
+            segment(2, 3, 4),
+            segment(3, 4.5, 5.5),
+            segment(4, 6, 7)
+        ]);
+
+        // [4.5, 7] cannot reach minSegmentLength without passing maxSentenceLength
+        expect(spans(merged)).toEqual([[0, 4]]);
+    });
+
+    test('a short last group joins the previous sentence within maxSentenceLength or is dropped', () => {
+        const segments = [segment(0, 0, 3.2), segment(1, 3.5, 4.5)];
+
+        const capped = new AudioSentenceDetector({ minSegmentLength: 3, maxSentenceLength: 4, minSentenceLength: 0.5 });
+        expect(spans(capped.mergeShortSegments(segments))).toEqual([[0, 3.2]]);
+
+        const roomy = new AudioSentenceDetector({ minSegmentLength: 3, maxSentenceLength: 5, minSentenceLength: 0.5 });
+        expect(spans(roomy.mergeShortSegments(segments))).toEqual([[0, 4.5]]);
+    });
+
+    test('leaves no sentence shorter than minSegmentLength or longer than maxSentenceLength', () => {
+        const detector = new AudioSentenceDetector({ minSegmentLength: 2, maxSentenceLength: 3, minSentenceLength: 0.5 });
+        const merged = detector.mergeShortSegments([
+            segment(0, 0, 0.8),
+            segment(1, 3.5, 4.2),
+            segment(2, 4.5, 5.5),
+            segment(3, 6, 6.5),
+            segment(4, 9, 10)
+        ]);
+
+        // The first and last segments are too far from the others to be merged with them
+        expect(spans(merged)).toEqual([[3.5, 6.5]]);
+        expect(detector.mergeShortSegments([segment(0, 1, 2)])).toEqual([]);
+    });
+});
+
+describe('sentence numbering', () => {
+    // The middle sentence is quiet and gets a lower probability than the others
+    const { samples, sampleRate } = testAudio([
+        { type: 'pause', duration: 0.8 },
+        { type: 'speech', duration: 1.5 },
+        { type: 'pause', duration: 0.8 },
+        { type: 'speech', duration: 1.5, amplitude: 0.06 },
+        { type: 'pause', duration: 0.8 },
+        { type: 'speech', duration: 1.5 },
+        { type: 'pause', duration: 0.8 }
+    ]);
+
+    test('has no gaps after minProbability drops a sentence', async () => {
+        const all = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate);
+        const filtered = await new AudioSentenceDetector({ minProbability: 0.8 }).detectFromSamples(samples, sampleRate);
+
+        expect(all).toHaveLength(3);
+        expect(all[1].probability).toBeLessThan(0.8);
+        expect(filtered.map(s => s.start)).toEqual([all[0].start, all[2].start]);
+        expect(filtered.map(s => s.index)).toEqual([0, 1]);
+    });
+
+    test('has no gaps after rules drop sentences', async () => {
+        const dropFirst = (sentence, { index }) => (index === 0 && sentence.start < 1 ? null : undefined);
+        const sentences = await new AudioSentenceDetector({ rules: [dropFirst] }).detectFromSamples(samples, sampleRate);
+
+        expect(sentences).toHaveLength(2);
+        expect(sentences.map(s => s.index)).toEqual([0, 1]);
+        expect(sentences[0].start).toBeGreaterThan(3);
+    });
+});
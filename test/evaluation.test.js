@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AudioSentenceDetector = require('../src/index');
+const { generateTestAudio } = require('../src/synth');
+
+const { evaluate, loadReference } = AudioSentenceDetector;
+
+const segments = pairs => pairs.map(([start, end]) => ({ start, end }));
+
+describe('evaluate', () => {
+    test('scores a perfect detection as perfect', () => {
+        const reference = segments([[1, 3], [5, 7]]);
+        const score = evaluate(reference, reference);
+
+        expect(score.tolerance).toBe(0.2);
+        expect(score.boundaries).toEqual({ precision: 1, recall: 1, f1: 1, matched: 4, detected: 4, reference: 4, meanError: 0 });
+        expect(score.meanIoU).toBe(1);
+        expect(score.speechIoU).toBe(1);
+        expect(score.segments).toEqual({
+            detected: 2, reference: 2, missed: 0, falseAlarms: 0, overSegmented: 0, extraSegments: 0, underSegmented: 0, mergedSegments: 0
+        });
+    });
+
+    test('computes boundary precision, recall and error, and overlap', () => {
+        const score = evaluate(segments([[1.1, 3], [5, 6.5], [8, 9]]), segments([[1, 3], [5, 7]]));
+
+        expect(score.boundaries).toMatchObject({ matched: 3, detected: 6, reference: 4, precision: 0.5, recall: 0.75 });
+        expect(score.boundaries.f1).toBeCloseTo(0.6, 10);
+        expect(score.boundaries.meanError).toBeCloseTo(0.1 / 3, 10);
+        expect(score.starts).toMatchObject({ matched: 2, precision: 2 / 3, recall: 1 });
+        expect(score.ends).toMatchObject({ matched: 1, precision: 1 / 3, recall: 0.5 });
+        expect(score.meanIoU).toBeCloseTo((1.9 / 2 + 1.5 / 2) / 2, 10);
+        expect(score.speechIoU).toBeCloseTo(3.4 / 5, 10);
+        expect(score.segments).toMatchObject({ missed: 0, falseAlarms: 1 });
+    });
+
+    test('counts split, merged and missed sentences', () => {
+        const score = evaluate(segments([[0, 1], [1, 2], [3, 6]]), segments([[0, 2], [3, 4], [4.5, 6], [8, 9]]));
+
+        expect(score.segments).toEqual({
+            detected: 3, reference: 4, missed: 1, falseAlarms: 0, overSegmented: 1, extraSegments: 1, underSegmented: 1, mergedSegments: 1
+        });
+    });
+
+    test('matches each boundary at most once, closest pairs first', () => {
+        const score = evaluate(segments([[0.9, 1.05]]), segments([[1, 4]]));
+
+        expect(score.starts).toMatchObject({ matched: 1, meanError: expect.closeTo(0.1, 10) });
+        expect(score.boundaries).toMatchObject({ matched: 1, detected: 2, reference: 2 });
+        expect(score.boundaries.meanError).toBeCloseTo(0.05, 10);
+    });
+
+    test('uses the tolerance for boundaries and for overlap', () => {
+        const detected = segments([[1.3, 3], [5, 5.15]]);
+        const reference = segments([[1, 3], [5, 7]]);
+
+        expect(evaluate(detected, reference).starts.matched).toBe(1);
+        expect(evaluate(detected, reference).segments).toMatchObject({ missed: 1, falseAlarms: 1 });
+        expect(evaluate(detected, reference, { tolerance: 0.1 }).segments).toMatchObject({ missed: 0, falseAlarms: 0 });
+        expect(evaluate(detected, reference, { tolerance: 0.5 }).starts.matched).toBe(2);
+        expect(evaluate(detected, reference, { tolerance: 0 }).boundaries.matched).toBe(2);
+    });
+
+    test('handles empty detections and references', () => {
+        const reference = segments([[1, 3]]);
+
+        expect(evaluate([], [])).toMatchObject({ boundaries: { precision: 1, recall: 1, f1: 1 }, meanIoU: 1, speechIoU: 1 });
+        expect(evaluate([], reference)).toMatchObject({ boundaries: { precision: 0, recall: 0, f1: 0 }, meanIoU: 0, speechIoU: 0 });
+        expect(evaluate([], reference).segments.missed).toBe(1);
+        expect(evaluate(reference, []).segments.falseAlarms).toBe(1);
+    });
+
+    test('accepts unsorted segments and timeline results', () => {
+        const reference = segments([[1, 3], [5, 7]]);
+
+        expect(evaluate([...reference].reverse(), reference).boundaries.f1).toBe(1);
+        expect(evaluate({ sentences: reference, timeline: [] }, { sentences: reference }).meanIoU).toBe(1);
+    });
+
+    test('rejects per-channel results and segments without times', () => {
+        const reference = segments([[1, 3]]);
+
+        expect(() => evaluate([reference, reference], reference)).toThrow('detected holds one result per channel; evaluate each channel separately');
+        expect(() => evaluate([{ sentences: reference }], reference)).toThrow(TypeError);
+        expect(() => evaluate(reference, [{ start: 1 }])).toThrow('reference[0] needs numeric start and end');
+        expect(() => evaluate(reference, null)).toThrow('reference must be an array of segments');
+    });
+
+    test('rates the detector against synthetic audio with a known answer', async () => {
+        const { samples, sampleRate, reference } = generateTestAudio({
+            sampleRate: 22050,
+            seed: 5,
+            noiseLevel: 0.002,
+            segments: [
+                { type: 'pause', duration: 0.5 }, { type: 'speech', duration: 1.4 }, { type: 'pause', duration: 1 },
+                { type: 'speech', duration: 2 }, { type: 'pause', duration: 0.6 }
+            ]
+        });
+        const score = evaluate(await new AudioSentenceDetector().detectFromSamples(samples, sampleRate), reference);
+
+        expect(score.segments).toMatchObject({ detected: 2, reference: 2, missed: 0, falseAlarms: 0 });
+        expect(score.ends.f1).toBe(1);
+        expect(score.meanIoU).toBeGreaterThan(0.8);
+    });
+});
+
+describe('loadReference', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asd-reference-'));
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads the format from the extension or options.format', async () => {
+        const labels = '1.000000\t3.000000\tfirst\n5.000000\t7.000000\tsecond\n';
+        fs.writeFileSync(path.join(dir, 'talk.labels.txt'), labels);
+        fs.writeFileSync(path.join(dir, 'talk.annotations'), labels);
+
+        const reference = await loadReference(path.join(dir, 'talk.labels.txt'));
+        expect(reference.map(s => [s.start, s.end, s.text])).toEqual([[1, 3, 'first'], [5, 7, 'second']]);
+        expect(await loadReference(path.join(dir, 'talk.annotations'), { format: 'audacity' })).toEqual(reference);
+        expect(evaluate(segments([[1, 3], [5, 7]]), reference).boundaries.f1).toBe(1);
+    });
+
+    test('asks for a format it cannot tell from the extension', async () => {
+        const file = path.join(dir, 'talk.annotations');
+        fs.writeFileSync(file, '');
+
+        await expect(loadReference(file)).rejects.toThrow(`Cannot tell the format of '${file}' from its extension; pass options.format`);
+    });
+});
@@ -0,0 +1,105 @@
+const { formatSentences, parseSentences } = require('../src/formats');
+
+const sentences = [{ index: 0, start: 1.5, end: 3.25, duration: 1.75 }];
+
+describe('EDL', () => {
+    test('timecodes count whole frames', () => {
+        const edl = formatSentences(sentences, 'edl', { frameRate: 30 });
+        expect(edl).toContain('00:00:01:15 00:00:03:08');
+        expect(parseSentences(edl, 'edl', { frameRate: 30 })[0]).toMatchObject({ start: 1.5, end: 3 + 8 / 30 });
+    });
+
+    test('non-integer frame rates are rejected', () => {
+        expect(() => formatSentences(sentences, 'edl', { frameRate: 29.97 })).toThrow(/drop-frame/);
+        expect(() => parseSentences('', 'edl', { frameRate: 23.976 })).toThrow(/whole number/);
+    });
+});
+
+describe('round trips', () => {
+    const detected = [
+        { index: 0, start: 0.25, end: 3.125, duration: 2.875, probability: 0.9123, speaker: 'A' },
+        { index: 1, start: 61.5, end: 64.008, duration: 2.508, probability: 0.6, speaker: 'B' },
+        { index: 2, start: 3661.007, end: 3668.5, duration: 7.493, probability: 0.75, speaker: 'A' }
+    ];
+    const times = sentences => sentences.map(s => [s.index, s.start, s.end, s.duration]);
+
+    test.each(['srt', 'vtt', 'audacity', 'csv', 'json'])('%s keeps the times and the cue text', format => {
+        const parsed = parseSentences(formatSentences(detected, format, { text: '{number}. {speaker}' }), format);
+
+        expect(times(parsed)).toEqual(times(detected));
+        expect(parsed.map(s => s.text)).toEqual(['1. A', '2. B', '3. A']);
+    });
+
+    test('edl keeps the times to the frame', () => {
+        const parsed = parseSentences(formatSentences(detected, 'edl', { frameRate: 25 }), 'edl', { frameRate: 25 });
+
+        // Within half a frame
+        parsed.forEach((sentence, i) => {
+            expect(Math.abs(sentence.start - detected[i].start)).toBeLessThanOrEqual(0.02 + 1e-9);
+            expect(Math.abs(sentence.end - detected[i].end)).toBeLessThanOrEqual(0.02 + 1e-9);
+        });
+    });
+
+    test('csv and json keep the other fields', () => {
+        const csv = parseSentences(formatSentences(detected, 'csv', { columns: ['index', 'start', 'end', 'duration', 'probability', 'speaker'] }), 'csv');
+        expect(csv).toEqual(detected.map(s => ({ ...s, probability: Math.round(s.probability * 1000) / 1000 })));
+
+        expect(parseSentences(formatSentences(detected, 'json', { precision: 6 }), 'json')).toEqual(detected);
+    });
+
+    test('csv quotes text with commas, quotes and line breaks', () => {
+        const text = s => (s.index === 0 ? 'Well, "no"\nthen' : '');
+        const parsed = parseSentences(formatSentences(detected, 'csv', { text }), 'csv');
+
+        expect(parsed[0].text).toBe('Well, "no"\nthen');
+        expect(parsed[1]).not.toHaveProperty('text');
+    });
+
+    test('precision rounds the written times', () => {
+        expect(formatSentences(detected.slice(0, 1), 'srt', { precision: 1 })).toContain('00:00:00,300 --> 00:00:03,100');
+        expect(parseSentences(formatSentences(detected, 'json', { precision: 1 }), 'json')[2]).toMatchObject({ start: 3661, end: 3668.5, duration: 7.5 });
+    });
+});
+
+describe('parsers', () => {
+    test('read SRT with a byte order mark and Windows line breaks', () => {
+        const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\nthere\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n\r\n';
+        expect(parseSentences(srt, 'srt')).toEqual([
+            { index: 0, start: 1, end: 2.5, duration: 1.5, text: 'Hello\nthere' },
+            { index: 1, start: 3, end: 4, duration: 1 }
+        ]);
+    });
+
+    test('read WebVTT with cue identifiers, settings, short timestamps and notes', () => {
+        const vtt = 'WEBVTT - captions\n\nNOTE made by hand\n\nintro\n00:01.000 --> 00:02.500 align:start line:0\nHi\n\n01:00:00.000 --> 01:00:01.000\n';
+        expect(parseSentences(vtt, 'vtt')).toEqual([
+            { index: 0, start: 1, end: 2.5, duration: 1.5, text: 'Hi' },
+            { index: 1, start: 3600, end: 3601, duration: 1 }
+        ]);
+    });
+
+    test('skip the frequency lines of Audacity spectral labels', () => {
+        const labels = '1.000000\t2.000000\tone\n\\\t100.0\t3000.0\n3.5\t4\t\n';
+        expect(parseSentences(labels, 'audacity')).toEqual([
+            { index: 0, start: 1, end: 2, duration: 1, text: 'one' },
+            { index: 1, start: 3.5, end: 4, duration: 0.5 }
+        ]);
+    });
+
+    test.each([
+        ['srt', '1\nHello\n', /no timing line/],
+        ['vtt', '00:01.000 --> 00:02.000\n', /WEBVTT header/],
+        ['srt', '1\n00:00:01 --> later\n', /Invalid timestamp 'later'/],
+        ['audacity', 'start\tend\n', /Invalid Audacity label on line 1/],
+        ['csv', 'from,to\n1,2\n', /at least start and end columns/],
+        ['json', '{"segments":[]}', /array of sentences/],
+        ['json', '[{"start":"1","end":2}]', /numeric start and end/],
+        ['ass', '', /Unknown input format 'ass'/]
+    ])('reject malformed %s', (format, text, message) => {
+        expect(() => parseSentences(text, format)).toThrow(message);
+    });
+
+    test('formatSentences rejects an unknown format', () => {
+        expect(() => formatSentences(sentences, 'ass')).toThrow(/Unknown output format 'ass'. Supported: srt, vtt, audacity, csv, edl, json/);
+    });
+});
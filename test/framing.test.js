@@ -0,0 +1,121 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio } = require('./helpers');
+
+// Speech from 0.63 to 1.83 s and from 2.73 to 4.03 s; the pauses fall between frames
+const SPEECH = [[0.63, 1.83], [2.73, 4.03]];
+const { samples, sampleRate } = testAudio([
+    { type: 'pause', duration: 0.63 }, { type: 'speech', duration: 1.2 }, { type: 'pause', duration: 0.9 },
+    { type: 'speech', duration: 1.3 }, { type: 'pause', duration: 0.5 }
+]);
+
+// Distance of each boundary inside the file from where the speech really starts or ends
+function boundaryErrors(sentences) {
+    expect(sentences).toHaveLength(SPEECH.length);
+    const errors = [];
+    sentences.forEach((sentence, i) => {
+        errors.push(Math.abs(sentence.start - SPEECH[i][0]));
+        if (i < sentences.length - 1) errors.push(Math.abs(sentence.end - SPEECH[i][1]));
+    });
+    return errors;
+}
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+function sine(length, frequency) {
+    return Float32Array.from({ length }, (_, i) => Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+describe('hopSize', () => {
+    test('defaults to the window size', async () => {
+        const detector = new AudioSentenceDetector({ windowSize: 1024 });
+        expect(detector.options.hopSize).toBe(1024);
+        expect(await detector.detectFromSamples(samples, sampleRate))
+            .toEqual(await new AudioSentenceDetector({ windowSize: 1024, hopSize: 1024 }).detectFromSamples(samples, sampleRate));
+    });
+
+    test('sets how far apart the frames are', async () => {
+        const { timeline } = await new AudioSentenceDetector({ hopSize: 512 }).detectFromSamples(samples, sampleRate, { timeline: true });
+
+        expect(timeline).toHaveLength(Math.ceil(samples.length / 512));
+        timeline.forEach((frame, i) => expect(frame.time).toBeCloseTo(i * 512 / sampleRate, 9));
+    });
+
+    test('overlapping windows place the boundaries closer to the speech', async () => {
+        const coarse = boundaryErrors(await new AudioSentenceDetector().detectFromSamples(samples, sampleRate));
+        const fine = boundaryErrors(await new AudioSentenceDetector({ hopSize: 512 }).detectFromSamples(samples, sampleRate));
+
+        expect(sum(fine)).toBeLessThan(sum(coarse));
+        fine.forEach(error => expect(error).toBeLessThan(2048 / sampleRate));
+    });
+});
+
+describe('windowFunction', () => {
+    test.each([
+        ['hamming', [0.08, 0.54, 1, 0.54, 0.08]],
+        ['hann', [0, 0.5, 1, 0.5, 0]],
+        ['blackman', [0, 0.34, 1, 0.34, 0]]
+    ])('%s weights the samples before the FFT', (windowFunction, expected) => {
+        const detector = new AudioSentenceDetector({ windowFunction });
+        detector.performFFT(new Float32Array(5));
+
+        Array.from(detector.fftBuffers.window).forEach((weight, i) => expect(weight).toBeCloseTo(expected[i], 6));
+    });
+
+    test('tapering windows leak less of a tone into distant bins', () => {
+        // Halfway between bins 93 and 94 (about 1 kHz), the worst case for leakage
+        const tone = sine(2048, 93.5 * sampleRate / 2048);
+        const leakage = windowFunction => {
+            const magnitudes = new AudioSentenceDetector({ windowFunction }).performFFT(tone);
+            const peak = Math.max(...magnitudes);
+            return magnitudes[Math.round(3000 * 2048 / sampleRate)] / peak;
+        };
+
+        expect(leakage('hann')).toBeLessThan(leakage('hamming'));
+        expect(leakage('blackman')).toBeLessThan(leakage('hann'));
+    });
+});
+
+describe('window sizes that are not a power of two', () => {
+    test('are zero-padded to the next power of two', () => {
+        const detector = new AudioSentenceDetector({ windowSize: 1000 });
+        const magnitudes = detector.performFFT(sine(1000, 2000));
+
+        expect(magnitudes).toHaveLength(512);
+        expect(detector.fftBuffers.window).toHaveLength(1000);
+        expect(magnitudes.indexOf(Math.max(...magnitudes))).toBe(Math.round(2000 * 1024 / sampleRate));
+    });
+
+    test('find the same sentences', async () => {
+        const { sentences, timeline } = await new AudioSentenceDetector({ windowSize: 1000 })
+            .detectFromSamples(samples, sampleRate, { timeline: true });
+
+        expect(timeline).toHaveLength(Math.ceil(samples.length / 1000));
+        boundaryErrors(sentences).forEach(error => expect(error).toBeLessThan(2 * 1000 / sampleRate));
+    });
+});
+
+describe('refineBoundaries', () => {
+    test('snaps the boundaries to within a few milliseconds of the speech', async () => {
+        const framed = boundaryErrors(await new AudioSentenceDetector().detectFromSamples(samples, sampleRate));
+        const refined = boundaryErrors(await new AudioSentenceDetector({ refineBoundaries: true }).detectFromSamples(samples, sampleRate));
+
+        refined.forEach(error => expect(error).toBeLessThan(0.01));
+        expect(sum(refined)).toBeLessThan(sum(framed) / 4);
+    });
+
+    test('gives the same boundaries whatever the hop size', async () => {
+        const refined = options => new AudioSentenceDetector({ refineBoundaries: true, ...options }).detectFromSamples(samples, sampleRate);
+        const [coarse, fine] = await Promise.all([refined({}), refined({ hopSize: 512 })]);
+
+        expect(fine.map(s => [s.start, s.end])).toEqual(coarse.map(s => [s.start, s.end]));
+    });
+
+    test('leaves the end of the file and boundaries inside a gap alone', async () => {
+        const refined = await new AudioSentenceDetector({ refineBoundaries: true }).detectFromSamples(samples, sampleRate);
+        expect(refined[refined.length - 1].end).toBe(samples.length / sampleRate);
+
+        const options = { allowGaps: false };
+        expect(await new AudioSentenceDetector({ ...options, refineBoundaries: true }).detectFromSamples(samples, sampleRate))
+            .toEqual(await new AudioSentenceDetector(options).detectFromSamples(samples, sampleRate));
+    });
+});
@@ -0,0 +1,51 @@
+// Shared fixtures: short synthetic recordings of speech-like bursts and pauses
+
+const { generateTestAudio } = require('../src/synth');
+
+const SAMPLE_RATE = 22050;
+
+// Sentences of different lengths and pitches, separated by pauses that are
+// long enough to end a sentence and one (0.2 s) that is not
+const DIALOGUE = [
+    { type: 'pause', duration: 0.3 },
+    { type: 'speech', duration: 1.1 },
+    { type: 'pause', duration: 0.9 },
+    { type: 'speech', duration: 0.9, pitch: 200 },
+    { type: 'pause', duration: 0.2 },
+    { type: 'speech', duration: 0.4 },
+    { type: 'pause', duration: 0.9 },
+    { type: 'speech', duration: 2.6 },
+    { type: 'pause', duration: 0.9 },
+    { type: 'speech', duration: 0.7 },
+    { type: 'pause', duration: 0.3 }
+];
+
+// Renders the segments with the synthetic speech generator over faint noise
+function testAudio(segments = DIALOGUE) {
+    return generateTestAudio({ sampleRate: SAMPLE_RATE, seed: 3, noiseLevel: 0.002, segments });
+}
+
+// Feeds samples to a stream in chunks that take turns between the given sizes
+// and resolves to the sentences it emits
+function streamSentences(detector, samples, sampleRate, chunkSizes) {
+    return new Promise((resolve, reject) => {
+        const stream = detector.createStream({ sampleRate });
+        const sentences = [];
+        stream.on('data', sentence => sentences.push(sentence));
+        stream.on('end', () => resolve(sentences));
+        stream.on('error', reject);
+
+        for (let i = 0, n = 0; i < samples.length; n++) {
+            const chunkSize = chunkSizes[n % chunkSizes.length];
+            stream.write(samples.slice(i, i + chunkSize));
+            i += chunkSize;
+        }
+        stream.end();
+    });
+}
+
+module.exports = {
+    DIALOGUE,
+    testAudio,
+    streamSentences
+};
@@ -0,0 +1,115 @@
+const AudioSentenceDetector = require('../src/browser');
+const { InvalidOptionError } = require('../src/errors');
+const { testAudio } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+
+// Just enough of Web Audio for LiveSentenceDetector: the worklet node hands
+// out its port so the test can post captured audio the way the processor does
+class FakeAudioContext {
+    constructor() {
+        this.sampleRate = sampleRate;
+        this.state = 'suspended';
+        this.destination = {};
+        this.audioWorklet = { addModule: jest.fn(async () => {}) };
+        FakeAudioContext.created.push(this);
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+class FakeAudioWorkletNode {
+    constructor(context, name, options) {
+        this.options = options;
+        this.port = { onmessage: null };
+        this.connect = jest.fn();
+        this.disconnect = jest.fn();
+        FakeAudioWorkletNode.created.push(this);
+    }
+}
+
+const fakeSource = () => ({ connect: jest.fn(), disconnect: jest.fn() });
+
+beforeEach(() => {
+    FakeAudioContext.created = [];
+    FakeAudioWorkletNode.created = [];
+    global.AudioContext = FakeAudioContext;
+    global.AudioWorkletNode = FakeAudioWorkletNode;
+});
+
+afterEach(() => {
+    delete global.AudioContext;
+    delete global.AudioWorkletNode;
+});
+
+describe('LiveSentenceDetector', () => {
+    test('gives the same sentences from captured audio as detectFromSamples()', async () => {
+        const detector = new AudioSentenceDetector();
+        const expected = await detector.detectFromSamples(samples, sampleRate);
+        const ended = [];
+        const live = await detector.createLiveDetector(fakeSource(), { onSentenceEnd: sentence => ended.push(sentence) });
+
+        const [context] = FakeAudioContext.created;
+        const [node] = FakeAudioWorkletNode.created;
+        expect(context.state).toBe('running');
+        expect(node.options.processorOptions.chunkSize).toBe(detector.options.hopSize);
+        expect(live.source.connect).toHaveBeenCalledWith(node);
+
+        const chunkSize = node.options.processorOptions.chunkSize;
+        for (let i = 0; i < samples.length; i += chunkSize) {
+            node.port.onmessage({ data: samples.slice(i, i + chunkSize) });
+        }
+        expect(ended.length).toBeGreaterThan(0);
+
+        expect(await live.stop()).toEqual(expected);
+        expect(ended).toEqual(expected);
+        expect(context.state).toBe('closed');
+        expect(node.disconnect).toHaveBeenCalled();
+    });
+
+    test('leaves a context it was given open', async () => {
+        const audioContext = new FakeAudioContext();
+        const live = await new AudioSentenceDetector().createLiveDetector(fakeSource(), { audioContext });
+        await live.stop();
+        expect(audioContext.state).toBe('running');
+        expect(FakeAudioContext.created).toEqual([audioContext]);
+    });
+
+    test('closes the context it created when it cannot start', async () => {
+        const detector = new AudioSentenceDetector({ speakerDetection: true });
+        await expect(detector.createLiveDetector(fakeSource())).rejects.toThrow(InvalidOptionError);
+        expect(FakeAudioContext.created[0].state).toBe('closed');
+
+        await expect(new AudioSentenceDetector().createLiveDetector({})).rejects.toThrow(TypeError);
+        expect(FakeAudioContext.created[1].state).toBe('closed');
+        expect(FakeAudioWorkletNode.created).toEqual([]);
+    });
+
+    test('can only be started once', async () => {
+        const live = await new AudioSentenceDetector().createLiveDetector(fakeSource());
+        await expect(live.start(fakeSource())).rejects.toThrow(/only be started once/);
+        await live.stop();
+    });
+
+    test('write() without start() needs a sample rate and reports errors to onError', async () => {
+        const { LiveSentenceDetector } = AudioSentenceDetector;
+        const detector = new AudioSentenceDetector();
+        expect(() => new LiveSentenceDetector(detector).write(samples)).toThrow(/positive sampleRate/);
+
+        const live = new LiveSentenceDetector(detector, { sampleRate });
+        live.write(samples);
+        expect(await live.stop()).toEqual(await detector.detectFromSamples(samples, sampleRate));
+        expect(() => live.write(samples)).toThrow(/after stop/);
+
+        const errors = [];
+        const failing = new LiveSentenceDetector(detector, { sampleRate, onError: error => errors.push(error) });
+        failing.write([1, 2, 3]);
+        expect(errors).toHaveLength(1);
+    });
+});
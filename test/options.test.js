@@ -0,0 +1,105 @@
+const AudioSentenceDetector = require('../src/index');
+const { DEFAULT_OPTIONS, PRESETS, resolveOptions } = require('../src/options');
+const { AudioSentenceDetectorError, InvalidOptionError } = require('../src/errors');
+
+// The error resolveOptions() throws for the given options
+function rejection(options) {
+    try {
+        resolveOptions(options);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('resolveOptions() accepted the options');
+}
+
+describe('validation', () => {
+    test('names the option and the value it rejected', () => {
+        const error = rejection({ hopSize: 0 });
+
+        expect(error).toBeInstanceOf(InvalidOptionError);
+        expect(error).toBeInstanceOf(AudioSentenceDetectorError);
+        expect(error.name).toBe('InvalidOptionError');
+        expect(error.option).toBe('hopSize');
+        expect(error.value).toBe(0);
+        expect(error.message).toBe("Invalid option 'hopSize': expected a number >= 1, got 0");
+    });
+
+    test.each([
+        [{ windowFunction: 'hamm' }, 'windowFunction', 'hamm', /one of 'hamming', 'hann', 'blackman'/],
+        [{ allowGaps: 'false' }, 'allowGaps', 'false', /expected a boolean, got "false"/],
+        [{ minProbability: NaN }, 'minProbability', NaN, /a finite number/],
+        [{ windowSize: 1024.5 }, 'windowSize', 1024.5, /an integer/],
+        [{ rules: [() => true, 'drop'] }, 'rules', [expect.any(Function), 'drop'], /an array of functions/],
+        [{ maxSilence: 1 }, 'maxSilence', 1, /Unknown option 'maxSilence'/],
+        [{ preset: 'radio' }, 'preset', 'radio', /one of 'podcast', 'phoneCall', 'audiobook', 'noisy'/],
+        [{ debug: 1 }, 'debug', 1, /a boolean/],
+        [{ minSentenceLength: 5, maxSentenceLength: 2 }, 'minSentenceLength', 5, /must not be greater than maxSentenceLength/],
+        [{ fundamentalFreqMin: 300 }, 'fundamentalFreqMin', 300, /must be lower than fundamentalFreqMax/],
+        ['fast', 'options', 'fast', /an object/]
+    ])('rejects %p', (options, option, value, message) => {
+        const error = rejection(options);
+
+        expect(error).toBeInstanceOf(InvalidOptionError);
+        expect(error.option).toBe(option);
+        expect(error.value).toEqual(value);
+        expect(error.message).toMatch(message);
+    });
+
+    test('is done by the constructor', () => {
+        expect(() => new AudioSentenceDetector({ padEnd: -1 })).toThrow(InvalidOptionError);
+    });
+});
+
+describe('presets', () => {
+    test('fill in what is not given explicitly and leave the rest at the defaults', () => {
+        const options = resolveOptions({ preset: 'audiobook', maxSentenceLength: 30 });
+
+        expect(options.boundaryStrategy).toBe('prosody');
+        expect(options.minSentenceLength).toBe(PRESETS.audiobook.minSentenceLength);
+        expect(options.maxSentenceLength).toBe(30);
+        expect(options.minProbability).toBe(DEFAULT_OPTIONS.minProbability);
+        expect(options).not.toHaveProperty('preset');
+    });
+
+    test('are checked together with the explicit options', () => {
+        expect(rejection({ preset: 'audiobook', maxSentenceLength: 1 }).option).toBe('minSentenceLength');
+        expect(resolveOptions({ preset: 'phoneCall' }).hopSize).toBe(256);
+        expect(resolveOptions({ preset: 'phoneCall', hopSize: null }).hopSize).toBe(512);
+    });
+
+    test('are not changed through the resolved options', () => {
+        const options = resolveOptions({ preset: 'phoneCall' });
+        options.formantFreqRanges[0][0] = 0;
+
+        expect(PRESETS.phoneCall.formantFreqRanges[0][0]).toBe(300);
+        expect(resolveOptions({ preset: 'phoneCall' }).formantFreqRanges[0][0]).toBe(300);
+    });
+});
+
+describe('explicit falsy values', () => {
+    test('are kept instead of the defaults', () => {
+        const options = resolveOptions({ minSilenceDuration: 0, minSentenceLength: 0, allowGaps: false, silenceThreshold: 0, energySmoothing: 0 });
+
+        expect(options.minSilenceDuration).toBe(0);
+        expect(options.minSentenceLength).toBe(0);
+        expect(options.allowGaps).toBe(false);
+        expect(options.silenceThreshold).toBe(0);
+        expect(options.energySmoothing).toBe(0);
+    });
+
+    test('override the preset', () => {
+        const options = resolveOptions({ preset: 'noisy', adaptiveThreshold: false, minProbability: 0, minSegmentLength: 0 });
+
+        expect(options.adaptiveThreshold).toBe(false);
+        expect(options.minProbability).toBe(0);
+        expect(options.minSegmentLength).toBe(0);
+        expect(options.speechOnMargin).toBe(PRESETS.noisy.speechOnMargin);
+    });
+
+    test('undefined still falls back', () => {
+        expect(resolveOptions({ preset: 'podcast', speakerDetection: undefined, allowGaps: undefined })).toMatchObject({
+            speakerDetection: true,
+            allowGaps: DEFAULT_OPTIONS.allowGaps
+        });
+    });
+});
@@ -0,0 +1,48 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+
+describe('workers', () => {
+    test.each([
+        [{}],
+        [{ boundaryStrategy: 'prosody', prosodyThreshold: 0.4, speakerDetection: true, soundClassification: true, preEmphasis: 0.97 }]
+    ])('give the same result as a single-threaded run with %p', async options => {
+        const single = await new AudioSentenceDetector(options).detectFromSamples(samples, sampleRate, { timeline: true });
+        // Chunks shorter than a second, so the recording is spread over several workers
+        const parallel = await new AudioSentenceDetector({ ...options, workers: 2, workerChunkDuration: 0.9 })
+            .detectFromSamples(samples, sampleRate, { timeline: true });
+
+        expect(single.sentences.length).toBeGreaterThan(1);
+        expect(parallel).toEqual(single);
+    }, 60000);
+});
+
+describe('a worker that exits', () => {
+    // Stands in for worker_threads' Worker: exits with `exitCode` instead of answering
+    function fakeWorkerThreads(exitCode) {
+        const { EventEmitter } = require('events');
+        class Worker extends EventEmitter {
+            postMessage() {
+                setImmediate(() => this.emit('exit', exitCode));
+            }
+
+            terminate() {
+                return Promise.resolve(exitCode);
+            }
+        }
+        return { Worker };
+    }
+
+    test.each([1, 0])('with code %p rejects instead of waiting forever', async code => {
+        let analyzeInParallel;
+        jest.isolateModules(() => {
+            jest.doMock('worker_threads', () => fakeWorkerThreads(code));
+            ({ analyzeInParallel } = require('../src/parallel'));
+        });
+        const detector = new AudioSentenceDetector({ workers: 2, workerChunkDuration: 0.9 });
+
+        await expect(analyzeInParallel(detector, samples, sampleRate))
+            .rejects.toThrow(`Analysis worker exited with code ${code} before all chunks were analysed`);
+    });
+});
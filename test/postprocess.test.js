@@ -0,0 +1,82 @@
+const { createPostProcessor } = require('../src/postprocess');
+const { AudioSentenceDetectorError } = require('../src/errors');
+
+const sentence = (start, end, extra = {}) => ({ index: 7, start, end, duration: end - start, probability: 0.9, ...extra });
+const processor = options => createPostProcessor({ padStart: 0, padEnd: 0, maxSentenceLength: 15, rules: [], ...options });
+
+describe('padding', () => {
+    test('extends sentences on both sides', () => {
+        const result = processor({ padStart: 0.25, padEnd: 0.5 }).process(sentence(2, 3), 10);
+        expect(result).toMatchObject({ start: 1.75, end: 3.5, duration: 1.75 });
+    });
+
+    test('is clamped to the start and end of the audio', () => {
+        const { process } = processor({ padStart: 0.5, padEnd: 0.5 });
+        expect(process(sentence(0.2, 1), 10)).toMatchObject({ start: 0, end: 1.5, duration: 1.5 });
+        expect(process(sentence(9, 9.8), 10)).toMatchObject({ start: 8.5, end: 10, duration: 1.5 });
+    });
+
+    test('never makes a sentence longer than maxSentenceLength', () => {
+        const { process } = processor({ padStart: 0.5, padEnd: 1.5, maxSentenceLength: 4 });
+        expect(process(sentence(2, 3), 10)).toMatchObject({ start: 1.5, end: 4.5, duration: 3 });
+        expect(process(sentence(2, 5), 10)).toMatchObject({ start: 1.75, end: 5.75, duration: 4 });
+        expect(process(sentence(2, 6), 10)).toMatchObject({ start: 2, end: 6, duration: 4 });
+    });
+});
+
+describe('rules', () => {
+    test('see the index and the previous kept sentence', () => {
+        const calls = [];
+        const { process } = processor({ rules: [(s, context) => { calls.push([context.index, context.previous && context.previous.start]); }] });
+        process(sentence(0, 1), 10);
+        process(sentence(2, 3), 10);
+
+        expect(calls).toEqual([[0, null], [1, 0]]);
+    });
+
+    test('can change the sentence in place or return a replacement', () => {
+        const { process } = processor({
+            rules: [
+                s => { s.end += 1; },
+                s => ({ ...s, start: s.start + 0.5, label: 'x' })
+            ]
+        });
+        const result = process(sentence(1, 2), 10);
+
+        expect(result).toMatchObject({ start: 1.5, end: 3, duration: 1.5, label: 'x', index: 0 });
+    });
+
+    test.each([null, false])('drop the sentence when returning %s', value => {
+        const { process } = processor({ rules: [s => (s.start === 0 ? value : undefined)] });
+
+        expect(process(sentence(0, 1), 10)).toBeNull();
+        expect(process(sentence(2, 3), 10)).toMatchObject({ index: 0, start: 2 });
+    });
+
+    test('stop at the first rule that drops the sentence', () => {
+        const later = jest.fn();
+        processor({ rules: [() => false, later] }).process(sentence(0, 1), 10);
+
+        expect(later).not.toHaveBeenCalled();
+    });
+
+    test.each([true, 0, 'keep', {}, { start: 1, end: '2' }])('reject returning %p', value => {
+        const { process } = processor({ rules: [function keepLong() { return value; }] });
+
+        expect(() => process(sentence(0, 1), 10)).toThrow(AudioSentenceDetectorError);
+        expect(() => process(sentence(0, 1), 10)).toThrow(/'keepLong'/);
+    });
+});
+
+describe('numbering', () => {
+    test('counts only the sentences kept', () => {
+        const { process } = processor({ rules: [s => (s.probability < 0.5 ? null : undefined)] });
+        const results = [
+            sentence(0, 1),
+            sentence(2, 3, { probability: 0.1 }),
+            sentence(4, 5)
+        ].map(s => process(s, 10)).filter(Boolean);
+
+        expect(results.map(s => [s.index, s.start])).toEqual([[0, 0], [1, 4]]);
+    });
+});
@@ -0,0 +1,49 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio, streamSentences } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+const spans = sentences => sentences.map(s => [s.start, s.end]);
+
+describe('preprocessing', () => {
+    let unfiltered;
+
+    beforeAll(async () => {
+        unfiltered = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate);
+    });
+
+    test('pre-emphasis leaves the voice features of clean speech alone', async () => {
+        const sentences = await new AudioSentenceDetector({ preEmphasis: 0.97 }).detectFromSamples(samples, sampleRate);
+
+        expect(unfiltered.length).toBeGreaterThan(1);
+        expect(sentences).toHaveLength(unfiltered.length);
+        sentences.forEach((sentence, i) => {
+            expect(sentence.start).toBeCloseTo(unfiltered[i].start, 0);
+            expect(sentence.end).toBeCloseTo(unfiltered[i].end, 0);
+        });
+    });
+
+    test('a high-pass filter takes mains hum out of the energy, not out of the voice features', async () => {
+        const hummy = samples.map((value, i) => value + 0.04 * Math.sin(2 * Math.PI * 50 * i / sampleRate));
+        const raw = await new AudioSentenceDetector().detectFromSamples(hummy, sampleRate, { timeline: true });
+        const filtered = await new AudioSentenceDetector({ highPassFrequency: 100 }).detectFromSamples(hummy, sampleRate, { timeline: true });
+        const features = result => result.timeline.map(frame => [frame.zcr, frame.spectralCentroid]);
+        const quietFrames = result => result.timeline.filter(frame => frame.isQuiet).length;
+
+        expect(features(filtered)).toEqual(features(raw));
+        // The hum keeps the pauses above the silence threshold until it is filtered out
+        expect(quietFrames(raw)).toBe(0);
+        expect(quietFrames(filtered)).toBeGreaterThan(0);
+        expect(spans(filtered.sentences)).toEqual(spans(unfiltered));
+    });
+
+    test('streams pair the filtered samples with their input when noise reduction holds some back', async () => {
+        const noiseProfile = testAudio([{ type: 'pause', duration: 0.5 }]).samples;
+        const options = { highPassFrequency: 80, noiseReduction: true, noiseProfile, preEmphasis: 0.97 };
+        // The first two sentences
+        const start = samples.subarray(0, Math.round(4.5 * sampleRate));
+        const expected = await new AudioSentenceDetector(options).detectFromSamples(start, sampleRate);
+
+        expect(expected.length).toBeGreaterThan(1);
+        expect(await streamSentences(new AudioSentenceDetector(options), start, sampleRate, [333, 4099, 1021])).toEqual(expected);
+    });
+});
@@ -0,0 +1,58 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+const withoutIndex = sentences => sentences.map(({ index, ...sentence }) => sentence);
+
+describe('probability', () => {
+    test('is between 0 and 1 and high for speech bounded by clear pauses', async () => {
+        const sentences = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate);
+
+        expect(sentences.length).toBeGreaterThan(1);
+        for (const sentence of sentences) {
+            expect(sentence.probability).toBeGreaterThan(0.7);
+            expect(sentence.probability).toBeLessThanOrEqual(1);
+        }
+    });
+
+    test('is lower for a part of a forced split than for one ending in a pause', async () => {
+        const { samples: long } = testAudio([{ type: 'pause', duration: 0.5 }, { type: 'speech', duration: 7 }, { type: 'pause', duration: 0.9 }, { type: 'speech', duration: 2 }, { type: 'pause', duration: 0.5 }]);
+        const sentences = await new AudioSentenceDetector({ maxSentenceLength: 4 }).detectFromSamples(long, sampleRate);
+
+        expect(sentences).toHaveLength(3);
+        expect(sentences[0].end).toBe(sentences[1].start);
+        expect(sentences[0].probability).toBeLessThan(sentences[1].probability - 0.1);
+        expect(sentences[0].probability).toBeLessThan(sentences[2].probability - 0.1);
+    });
+
+    test('of merged sentences is weighted by their durations', () => {
+        const merged = new AudioSentenceDetector().mergeSegmentGroup([
+            { index: 0, start: 0, end: 1, duration: 1, probability: 0.9 },
+            { index: 1, start: 1.5, end: 4.5, duration: 3, probability: 0.5 }
+        ]);
+
+        expect(merged).toEqual({ index: 0, start: 0, end: 4.5, duration: 4.5, probability: expect.closeTo(0.6, 10) });
+    });
+
+    test('rewards energy that fluctuates like syllables and trails off', () => {
+        const detector = new AudioSentenceDetector();
+        const syllables = Array.from({ length: 40 }, (_, i) => 0.1 * (1 + Math.sin(i)) * (1 - i / 50));
+
+        expect(detector.calculateEnergyContour(new Array(40).fill(0.1))).toBeCloseTo(0.4, 10);
+        expect(detector.calculateEnergyContour(syllables)).toBeGreaterThan(0.9);
+        expect(detector.calculateEnergyContour(syllables.slice().reverse())).toBeLessThan(detector.calculateEnergyContour(syllables));
+    });
+});
+
+describe('minProbability', () => {
+    test('drops exactly the sentences scored below it', async () => {
+        const all = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate);
+        const scores = all.map(sentence => sentence.probability).sort((a, b) => a - b);
+        const threshold = (scores[1] + scores[2]) / 2;
+
+        const kept = await new AudioSentenceDetector({ minProbability: threshold }).detectFromSamples(samples, sampleRate);
+
+        expect(kept).toHaveLength(all.length - 2);
+        expect(withoutIndex(kept)).toEqual(withoutIndex(all.filter(sentence => sentence.probability >= threshold)));
+    });
+});
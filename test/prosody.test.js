@@ -0,0 +1,80 @@
+const AudioSentenceDetector = require('../src/index');
+const { estimatePitch, scoreBoundary } = require('../src/prosody');
+const { generateTestAudio } = require('../src/synth');
+const { testAudio } = require('./helpers');
+
+describe('estimatePitch', () => {
+    const sampleRate = 22050;
+    const frame = (length, sample) => Float32Array.from({ length }, (_, i) => sample(i / sampleRate));
+
+    test.each([90, 150, 240])('finds the fundamental of a %p Hz voice with harmonics', frequency => {
+        const voice = frame(2048, t => Math.sin(2 * Math.PI * frequency * t) + 0.6 * Math.sin(4 * Math.PI * frequency * t) + 0.3 * Math.sin(6 * Math.PI * frequency * t));
+        expect(estimatePitch(voice, sampleRate, 85, 255)).toBeCloseTo(frequency, 0);
+    });
+
+    test('gives 0 for silence and noise', () => {
+        const { samples: noise } = generateTestAudio({ sampleRate, seed: 1, segments: [{ type: 'noise', duration: 0.1 }] });
+
+        expect(estimatePitch(new Float32Array(2048), sampleRate, 85, 255)).toBe(0);
+        expect(estimatePitch(noise.subarray(0, 2048), sampleRate, 85, 255)).toBe(0);
+    });
+});
+
+describe('scoreBoundary', () => {
+    // 100 frames per second; the pause starts after 2 seconds of speech
+    const options = { hopSize: 1, idealSilenceDuration: 0.8 };
+    const state = (f0, rms) => ({
+        sampleRate: 100,
+        frameF0: Array.from({ length: 200 }, (_, i) => f0(Math.max(0, i - 150) / 50)),
+        frameRMS: Array.from({ length: 200 }, (_, i) => rms(Math.max(0, i - 150) / 50))
+    });
+
+    test('is high for falling pitch and fading energy before a long pause', () => {
+        const ending = state(p => 200 - 50 * p, p => 0.1 * Math.pow(0.1, p));
+        expect(scoreBoundary({ start: 2, duration: 0.8 }, ending, options)).toBeCloseTo(1, 1);
+    });
+
+    test('is low for rising pitch and steady energy before a short pause', () => {
+        const hesitation = state(p => 180 + 60 * p, () => 0.1);
+        expect(scoreBoundary({ start: 2, duration: 0.2 }, hesitation, options)).toBeLessThan(0.1);
+    });
+
+    test('is neutral about pitch when the speech before the pause is unvoiced', () => {
+        const unvoiced = state(() => 0, () => 0.1);
+        expect(scoreBoundary({ start: 2, duration: 0.8 }, unvoiced, options)).toBeCloseTo(0.4 * 0.5 + 0.3, 5);
+    });
+});
+
+describe("boundaryStrategy: 'prosody'", () => {
+    const { samples, sampleRate } = testAudio();
+
+    test('reports the pitch of voiced frames in the timeline', async () => {
+        const { samples: voice } = testAudio([{ type: 'speech', duration: 1.5, pitch: 200 }]);
+        const { timeline } = await new AudioSentenceDetector({ boundaryStrategy: 'prosody' }).detectFromSamples(voice, sampleRate, { timeline: true });
+        const voiced = timeline.filter(frame => frame.isVoice);
+
+        expect(voiced.length).toBeGreaterThan(timeline.length / 2);
+        for (const frame of timeline) {
+            expect(frame.f0).toEqual(frame.isVoice ? expect.any(Number) : 0);
+        }
+        const pitches = voiced.map(frame => frame.f0).filter(f0 => f0 > 0).sort((a, b) => a - b);
+        expect(pitches[Math.floor(pitches.length / 2)]).toBeGreaterThan(180);
+        expect(pitches[Math.floor(pitches.length / 2)]).toBeLessThan(220);
+    });
+
+    test('ends sentences only at pauses scoring at least prosodyThreshold', async () => {
+        const silence = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate, { regions: true });
+        const prosody = await new AudioSentenceDetector({ boundaryStrategy: 'prosody', prosodyThreshold: 0 }).detectFromSamples(samples, sampleRate, { regions: true });
+
+        // Every pause qualifies at 0, which gives the silence strategy's sentences
+        expect(prosody.sentences).toEqual(silence.sentences);
+        expect(prosody.boundaryRegions).toHaveLength(silence.silentRegions.length);
+
+        const scores = prosody.boundaryRegions.map(region => region.boundaryScore);
+        const threshold = Math.max(...scores);
+        const strict = await new AudioSentenceDetector({ boundaryStrategy: 'prosody', prosodyThreshold: threshold }).detectFromSamples(samples, sampleRate, { regions: true });
+
+        expect(strict.boundaryRegions.map(region => region.boundaryScore)).toEqual([threshold]);
+        expect(strict.sentences.length).toBeLessThan(silence.sentences.length);
+    });
+});
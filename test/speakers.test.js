@@ -0,0 +1,46 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio } = require('./helpers');
+const { InvalidOptionError } = require('../src/errors');
+
+function conversation(pitches, gap = 0.8) {
+    const segments = [{ type: 'pause', duration: 0.5 }];
+    pitches.forEach((pitch, i) => {
+        segments.push({ type: 'speech', duration: 2.5, pitch });
+        segments.push({ type: 'pause', duration: i === pitches.length - 1 ? 0.8 : gap });
+    });
+    return testAudio(segments);
+}
+
+describe('speakerDetection', () => {
+    test('two voices get two labels', async () => {
+        const { samples, sampleRate } = conversation([110, 230, 110, 230]);
+        const sentences = await new AudioSentenceDetector({ speakerDetection: true }).detectFromSamples(samples, sampleRate);
+
+        expect(sentences.map(s => s.speaker)).toEqual(['A', 'B', 'A', 'B']);
+    });
+
+    test('a speaker change inside a sentence splits it', async () => {
+        // 0.2 s is too short a pause to end a sentence
+        const { samples, sampleRate, reference } = conversation([110, 230], 0.2);
+        const sentences = await new AudioSentenceDetector({ speakerDetection: true }).detectFromSamples(samples, sampleRate);
+
+        expect(sentences.map(s => s.speaker)).toEqual(['A', 'B']);
+        expect(sentences[0].end).toBeGreaterThan(reference[0].end - 0.1);
+        expect(sentences[0].end).toBeLessThan(reference[1].start + 0.1);
+        expect(sentences.map(s => s.index)).toEqual([0, 1]);
+    });
+
+    test('one voice gets one label', async () => {
+        const { samples, sampleRate } = conversation([120, 120, 120]);
+        const sentences = await new AudioSentenceDetector({ speakerDetection: true, maxSpeakers: 3 }).detectFromSamples(samples, sampleRate);
+
+        expect(sentences).toHaveLength(3);
+        expect(sentences.every(s => s.speaker === 'A')).toBe(true);
+    });
+
+    test('streams reject it instead of ignoring it', () => {
+        const detector = new AudioSentenceDetector({ speakerDetection: true });
+        expect(() => detector.createStream({ sampleRate: 44100 })).toThrow(InvalidOptionError);
+        expect(() => new AudioSentenceDetector({ preset: 'podcast' }).createStream({ sampleRate: 44100 })).toThrow(/speakerDetection/);
+    });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AudioSentenceDetector = require('../src/index');
+const { testAudio } = require('./helpers');
+const { encodeWav } = require('../src/encoder');
+const { decodeWav } = require('../src/decoder');
+
+describe('split', () => {
+    const { samples, sampleRate } = testAudio([
+        { type: 'pause', duration: 1 },
+        { type: 'speech', duration: 2 },
+        { type: 'pause', duration: 1 },
+        { type: 'speech', duration: 2 },
+        { type: 'pause', duration: 1 }
+    ]);
+    const wav = encodeWav([samples], sampleRate, { bitDepth: 32 });
+
+    test('padBefore/padAfter add to the detector padding', async () => {
+        const unpadded = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate);
+        const clips = await new AudioSentenceDetector({ padStart: 0.1, padEnd: 0.2 }).split(wav, { padBefore: 0.05, padAfter: 0.1 });
+
+        expect(clips).toHaveLength(unpadded.length);
+        clips.forEach((clip, i) => {
+            expect(clip.sentence.start).toBeCloseTo(unpadded[i].start - 0.1, 6);
+            expect(clip.sentence.end).toBeCloseTo(unpadded[i].end + 0.2, 6);
+            expect(clip.start).toBeCloseTo(unpadded[i].start - 0.15, 4);
+            expect(clip.end).toBeCloseTo(unpadded[i].end + 0.3, 4);
+        });
+    });
+
+    test('keeps the sample rate and every channel of the source', async () => {
+        const right = samples.map(sample => -sample);
+        const clips = await new AudioSentenceDetector().split(encodeWav([samples, right], sampleRate, { bitDepth: 32 }));
+
+        expect(clips).toHaveLength(2);
+        for (const clip of clips) {
+            const from = Math.round(clip.start * sampleRate);
+            expect(clip).toMatchObject({ sampleRate, channels: 2 });
+            expect(clip.duration).toBeCloseTo(clip.end - clip.start, 9);
+            expect(clip.channelData[0]).toEqual(samples.subarray(from, from + clip.channelData[0].length));
+            expect(clip.channelData[1]).toEqual(right.subarray(from, from + clip.channelData[1].length));
+        }
+    });
+
+    test('fades in and out over at most half of the clip', () => {
+        const detector = new AudioSentenceDetector();
+        const audioData = { channels: 1, sampleRate: 10, channelData: [new Float32Array(20).fill(1)] };
+        const [faded] = detector.extractClips(audioData, [{ index: 0, start: 0.5, end: 1.5 }], { fadeIn: 0.4, fadeOut: 0.2 });
+        const [short] = detector.extractClips(audioData, [{ index: 0, start: 0, end: 0.4 }], { fadeIn: 1, fadeOut: 1 });
+
+        expect(Array.from(faded.channelData[0])).toEqual([0, 0.25, 0.5, 0.75, 1, 1, 1, 1, 0.5, 0]);
+        expect(Array.from(short.channelData[0])).toEqual([0, 0.5, 0.5, 0]);
+    });
+
+    describe('files', () => {
+        let dir;
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asd-split-'));
+        });
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('are numbered from 1 and hold the clip audio', async () => {
+            const clips = await new AudioSentenceDetector().split(wav, { outputDir: path.join(dir, 'out'), bitDepth: 32, encode: true });
+
+            expect(fs.readdirSync(path.join(dir, 'out'))).toEqual(['sentence-001.wav', 'sentence-002.wav']);
+            for (const clip of clips) {
+                const file = fs.readFileSync(clip.path);
+                expect(file.equals(clip.wav)).toBe(true);
+                expect(decodeWav(file).channelData).toEqual(clip.channelData);
+            }
+        });
+
+        test('are named by the filename template', async () => {
+            const silent = new Float32Array(samples.length);
+            const detector = new AudioSentenceDetector({ channelMode: 'perChannel' });
+            const clips = await detector.split(encodeWav([silent, samples], sampleRate, { bitDepth: 32 }), {
+                outputDir: dir,
+                filename: 'part{number}-sentence{index}-channel{channel}.wav'
+            });
+
+            expect(clips.map(clip => path.basename(clip.path))).toEqual([
+                'part001-sentence0-channel1.wav',
+                'part002-sentence1-channel1.wav'
+            ]);
+            expect(decodeWav(fs.readFileSync(clips[0].path))).toMatchObject({ channels: 1, sampleRate });
+        });
+    });
+});
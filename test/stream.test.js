@@ -0,0 +1,21 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio, streamSentences } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+
+describe('createStream', () => {
+    test.each([
+        [{}],
+        [{ allowGaps: false, minSegmentLength: 1.5, maxSentenceLength: 5, dcRemoval: true, highPassFrequency: 80 }],
+        [{ maxSentenceLength: 2, alignToAudioBoundaries: true }],
+        [{ boundaryStrategy: 'prosody', prosodyThreshold: 0.4 }],
+        [{ hopSize: 1024, windowFunction: 'hann', refineBoundaries: true, adaptiveThreshold: true }],
+        [{ minSentenceLength: 0.3, regionMergeGap: 0.2, padStart: 0.2, padEnd: 0.3, rules: [s => (s.end > 8 ? false : undefined)] }]
+    ])('gives the same sentences as detectFromSamples() with %p', async options => {
+        const expected = await new AudioSentenceDetector(options).detectFromSamples(samples, sampleRate);
+        expect(expected.length).toBeGreaterThan(1);
+
+        // Odd chunk sizes, both shorter and longer than a frame, so frames and chunks never line up
+        expect(await streamSentences(new AudioSentenceDetector(options), samples, sampleRate, [333, 4099, 1021])).toEqual(expected);
+    });
+});
@@ -0,0 +1,40 @@
+const AudioSentenceDetector = require('../src/index');
+const { generateTestAudio } = require('../src/synth');
+
+describe('generateTestAudio', () => {
+    test('the same options give the same samples', () => {
+        const options = { seed: 7, noiseLevel: 0.01, segments: [{ type: 'speech', duration: 0.5 }, { type: 'music', duration: 0.5 }] };
+        expect(generateTestAudio(options).samples).toEqual(generateTestAudio(options).samples);
+    });
+
+    test('consonants only change the start of each syllable', () => {
+        const render = consonants => generateTestAudio({ segments: [{ type: 'speech', duration: 0.2, consonants }] }).samples;
+        const voiced = render(false);
+        const articulated = render(true);
+        const consonantEnd = Math.round(0.04 * 44100);
+
+        expect(articulated.subarray(0, consonantEnd)).not.toEqual(voiced.subarray(0, consonantEnd));
+        // The consonant noise also draws from the random generator, so only the harmonics are compared
+        const difference = articulated.subarray(consonantEnd).reduce((max, value, i) => Math.max(max, Math.abs(value - voiced[consonantEnd + i])), 0);
+        expect(difference).toBeLessThan(0.01);
+    });
+
+    test('speech with consonants is classified as speech, music as music', async () => {
+        const { samples, sampleRate } = generateTestAudio({
+            seed: 2,
+            noiseLevel: 0.001,
+            segments: [
+                { type: 'pause', duration: 0.5 },
+                { type: 'speech', duration: 3, consonants: true },
+                { type: 'pause', duration: 0.8 },
+                { type: 'music', duration: 5 },
+                { type: 'pause', duration: 0.8 },
+                { type: 'speech', duration: 2.5, consonants: true },
+                { type: 'pause', duration: 0.8 }
+            ]
+        });
+        const sentences = await new AudioSentenceDetector({ soundClassification: true }).detectFromSamples(samples, sampleRate);
+
+        expect(sentences.map(s => s.soundClass)).toEqual(['speech', 'music', 'speech']);
+    });
+});
@@ -0,0 +1,73 @@
+const AudioSentenceDetector = require('../src/index');
+const { testAudio } = require('./helpers');
+
+const { samples, sampleRate } = testAudio();
+
+describe('timeline', () => {
+    const detector = new AudioSentenceDetector();
+    let result;
+    beforeAll(async () => {
+        result = await detector.detectFromSamples(samples, sampleRate, { timeline: true });
+    });
+
+    test('comes with the same sentences as a plain detection', async () => {
+        expect(result.sentences).toEqual(await detector.detectFromSamples(samples, sampleRate));
+        expect(result.boundaryRegions).toEqual(result.silentRegions);
+        expect(result).not.toHaveProperty('soundRegions');
+    });
+
+    test('has one frame per hop with every feature', () => {
+        const { timeline } = result;
+
+        expect(timeline).toHaveLength(Math.ceil(samples.length / 2048));
+        timeline.forEach((frame, i) => {
+            expect(frame.time).toBeCloseTo(i * 2048 / sampleRate, 9);
+            expect(Object.keys(frame).sort()).toEqual([
+                'formantScores', 'inSilence', 'isQuiet', 'isSmoothedVoice', 'isVoice', 'rms', 'spectralCentroid',
+                'time', 'voiceBandEnergy', 'voiceScore', 'zcr'
+            ]);
+        });
+    });
+
+    test('shows the decisions the sentences were made from', () => {
+        const { timeline, silentRegions, sentences } = result;
+
+        for (const frame of timeline) {
+            expect(frame.isVoice).toBe(frame.voiceScore > detector.options.vadThreshold);
+            expect(frame.isQuiet).toBe(frame.rms < detector.options.silenceThreshold);
+        }
+
+        // Frames well inside a silent region are in silence, frames in the middle of a sentence are not
+        const framesIn = (start, end) => timeline.filter(frame => frame.time >= start && frame.time < end);
+        expect(silentRegions.length).toBeGreaterThan(1);
+        for (const region of silentRegions) {
+            expect(framesIn(region.start + 0.1, region.end - 0.1).every(frame => frame.inSilence)).toBe(true);
+        }
+        for (const sentence of sentences) {
+            const middle = (sentence.start + sentence.end) / 2;
+            expect(framesIn(middle - 0.1, middle + 0.1).some(frame => frame.isSmoothedVoice && !frame.isQuiet)).toBe(true);
+        }
+    });
+
+    test('adds the options-dependent fields when they are measured', async () => {
+        const { timeline } = await new AudioSentenceDetector({ adaptiveThreshold: true, boundaryStrategy: 'prosody', speakerDetection: true })
+            .detectFromSamples(samples, sampleRate, { timeline: true });
+
+        for (const frame of timeline) {
+            expect(frame).toEqual(expect.objectContaining({ noiseFloor: expect.any(Number), f0: expect.any(Number), pitch: expect.any(Number) }));
+        }
+    });
+
+    test('regions alone leave the timeline out', async () => {
+        const regions = await detector.detectFromSamples(samples, sampleRate, { regions: true });
+
+        expect(regions).toEqual({ sentences: result.sentences, silentRegions: result.silentRegions, boundaryRegions: result.boundaryRegions });
+    });
+
+    test('is given per channel', async () => {
+        const results = await new AudioSentenceDetector({ channelMode: 'perChannel' })
+            .detectFromSamples([samples, samples], sampleRate, { timeline: true });
+
+        expect(results).toEqual([result, result]);
+    });
+});
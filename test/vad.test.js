@@ -0,0 +1,102 @@
+const AudioSentenceDetector = require('../src/index');
+const { createHeuristicVAD, createEnergyVAD } = require('../src/vad');
+const { AudioSentenceDetectorError, InvalidOptionError } = require('../src/errors');
+const { testAudio } = require('./helpers');
+
+const { samples, sampleRate } = testAudio([
+    { type: 'pause', duration: 0.6 }, { type: 'speech', duration: 1.2 }, { type: 'pause', duration: 0.9 }, { type: 'speech', duration: 1.2 }
+]);
+
+describe('custom VAD', () => {
+    test('is called once per frame, in order, with the frame and its features', async () => {
+        const frames = [];
+        await new AudioSentenceDetector({ vad: frame => { frames.push(frame); return 0; } }).detectFromSamples(samples, sampleRate);
+
+        expect(frames).toHaveLength(Math.ceil(samples.length / 2048));
+        frames.forEach((frame, i) => {
+            expect(frame).toEqual({
+                samples: expect.any(Float32Array),
+                sampleRate,
+                time: i * 2048 / sampleRate,
+                rms: expect.any(Number),
+                zcr: expect.any(Number),
+                spectralCentroid: expect.any(Number),
+                formantScores: expect.any(Array),
+                voiceBandEnergy: expect.any(Number)
+            });
+        });
+        expect(frames.slice(0, -1).every(frame => frame.samples.length === 2048)).toBe(true);
+    });
+
+    test('can be an object whose reset() is called before every run', async () => {
+        const calls = [];
+        const vad = {
+            reset: () => calls.push('reset'),
+            process: () => {
+                calls.push('process');
+                return 1;
+            }
+        };
+        const detector = new AudioSentenceDetector({ vad });
+        await detector.detectFromSamples(samples, sampleRate);
+        await detector.detectFromSamples(samples, sampleRate);
+
+        const frameCount = Math.ceil(samples.length / 2048);
+        expect(calls).toEqual([...['reset', ...new Array(frameCount).fill('process')], ...['reset', ...new Array(frameCount).fill('process')]]);
+    });
+
+    test('scores are compared against vadThreshold', async () => {
+        const detect = vadThreshold => new AudioSentenceDetector({ vad: () => 0.7, vadThreshold })
+            .detectFromSamples(samples, sampleRate, { timeline: true });
+
+        expect((await detect(0.6)).timeline.every(frame => frame.isVoice && frame.voiceScore === 0.7)).toBe(true);
+        expect((await detect(0.8)).timeline.some(frame => frame.isVoice)).toBe(false);
+    });
+
+    test('gives the same sentences as the built-in one when it scores the same way', async () => {
+        const builtIn = createHeuristicVAD();
+        const custom = new AudioSentenceDetector({ vad: function wrapped(frame) { return builtIn.process(frame); } });
+
+        const expected = await new AudioSentenceDetector().detectFromSamples(samples, sampleRate);
+        expect(expected.length).toBeGreaterThan(0);
+        expect(await custom.detectFromSamples(samples, sampleRate)).toEqual(expected);
+    });
+
+    test('is named in the error when it returns something other than a number', async () => {
+        const error = await new AudioSentenceDetector({ vad: function gmm() { return undefined; } }).detectFromSamples(samples, sampleRate).catch(e => e);
+
+        expect(error).toBeInstanceOf(AudioSentenceDetectorError);
+        expect(error.message).toBe("Voice activity detector 'gmm' returned undefined, expected a probability");
+    });
+
+    test.each([0.5, 'energy', {}, null])('rejects %p as a detector', vad => {
+        expect(() => new AudioSentenceDetector({ vad })).toThrow(InvalidOptionError);
+    });
+});
+
+describe('built-in detectors', () => {
+    const frame = { rms: 0.1, zcr: 0.2, spectralCentroid: 800, formantScores: [0.5, 0.05, 0.3], voiceBandEnergy: 0.6 };
+
+    test('the heuristic weighs its four scores with vadWeights', () => {
+        expect(createHeuristicVAD().process(frame)).toBeCloseTo(0.3 + 0.2 + 0.3 * 2 / 3 + 0.2, 10);
+        expect(createHeuristicVAD({ weights: [0, 0, 1, 0] }).process(frame)).toBeCloseTo(2 / 3, 10);
+        expect(createHeuristicVAD({ zeroCrossingRateThreshold: 0.15 }).process(frame)).toBeCloseTo(0.2 + 0.3 * 2 / 3 + 0.2, 10);
+        expect(createHeuristicVAD({ voiceActivityThreshold: 0.7 }).process(frame)).toBeCloseTo(0.3 + 0.2 + 0.3 * 2 / 3, 10);
+    });
+
+    test('vadWeights reach the default detector', () => {
+        const zcrOnly = new AudioSentenceDetector({ vadWeights: [1, 0, 0, 0] });
+        expect(zcrOnly.vad.process(frame)).toBe(1);
+        expect(zcrOnly.vad.process({ ...frame, zcr: 0.05 })).toBe(0);
+    });
+
+    test('the energy detector maps the level between floor and ceiling onto 0-1', () => {
+        const vad = createEnergyVAD({ floor: -60, ceiling: -20 });
+        const at = db => vad.process({ rms: Math.pow(10, db / 20) });
+
+        expect(at(-70)).toBe(0);
+        expect(at(-40)).toBeCloseTo(0.5, 10);
+        expect(at(-10)).toBe(1);
+        expect(vad.process({ rms: 0 })).toBe(0);
+    });
+});
@@ -0,0 +1,136 @@
+/// <reference path="./index.d.ts" />
+// Types of the browser build, dist/browser.mjs
+import {
+    AudioSentenceDetectorOptions,
+    ResolvedOptions,
+    VoiceActivityDetector,
+    HeuristicVADOptions,
+    EnergyVADOptions,
+    AudioBufferLike,
+    AudioData,
+    SampleDetectOptions,
+    SampleAnalyzeOptions,
+    Analysis,
+    SegmentOptions,
+    SegmentResultOptions,
+    SplitOptions,
+    SentenceClip,
+    SentenceSegment,
+    DetectionResult,
+    TimedSegment,
+    EvaluateOptions,
+    EvaluationResult,
+    TestAudioOptions,
+    TestAudio,
+    SentenceFormat,
+    FormatOptions,
+    ParsedSentence,
+    AudioSentenceDetectorError,
+    AudioDecodeError,
+    InvalidOptionError,
+    AbortError,
+    TimeoutError
+} from 'audio-sentence-detector';
+
+export type * from 'audio-sentence-detector';
+export { AudioSentenceDetectorError, AudioDecodeError, InvalidOptionError, AbortError, TimeoutError };
+
+export interface BrowserDetectOptions extends SampleDetectOptions {
+    // Context used to decode encoded audio; decoded audio is resampled to its rate.
+    // Defaults to an OfflineAudioContext at 44100 Hz.
+    audioContext?: BaseAudioContext;
+}
+
+export type BrowserAnalyzeOptions = Omit<BrowserDetectOptions, 'timeline' | 'regions'>;
+
+export interface BrowserSplitOptions extends Omit<SplitOptions, 'pcm' | 'encode' | 'outputDir' | 'filename' | 'bitDepth'> {
+    audioContext?: BaseAudioContext;
+}
+
+export interface LiveDetectorOptions {
+    // Called when speech resumes after a pause of at least minSilenceDuration
+    onSentenceStart?: (time: number) => void;
+    // Called with each sentence once no later audio can change it
+    onSentenceEnd?: (sentence: SentenceSegment) => void;
+    // Receives analysis errors; without it they are thrown from the message handler
+    onError?: (error: Error) => void;
+    // Context to capture with; one is created (and closed by stop()) otherwise
+    audioContext?: AudioContext;
+    // Only needed to call write() without start()
+    sampleRate?: number;
+}
+
+export type AudioInput = AudioBufferLike | ArrayBuffer | ArrayBufferView;
+
+export class LiveSentenceDetector {
+    constructor(detector: AudioSentenceDetector, options?: LiveDetectorOptions);
+    audioContext: AudioContext | null;
+    sampleRate: number | null;
+    // Sentences completed so far; times are seconds since start()
+    sentences: SentenceSegment[];
+
+    start(source: MediaStream | AudioNode): Promise<this>;
+    // Feeds mono samples directly, e.g. from a source other than Web Audio
+    write(samples: Float32Array): void;
+    // Stops capturing and resolves to every sentence, including those the end of the audio completes
+    stop(): Promise<SentenceSegment[]>;
+}
+
+export default class AudioSentenceDetector {
+    constructor(options?: AudioSentenceDetectorOptions);
+    options: ResolvedOptions;
+    vad: VoiceActivityDetector;
+
+    detect(input: AudioInput, options: BrowserDetectOptions & { timeline: true }): Promise<DetectionResult | DetectionResult[]>;
+    detect(input: AudioInput, options: BrowserDetectOptions & { regions: true }): Promise<DetectionResult | DetectionResult[]>;
+    detect(input: AudioInput, options?: BrowserDetectOptions): Promise<SentenceSegment[] | SentenceSegment[][]>;
+    detectFromSamples(
+        samples: Float32Array | Float32Array[],
+        sampleRate: number,
+        options: SampleDetectOptions & { timeline: true }
+    ): Promise<DetectionResult | DetectionResult[]>;
+    detectFromSamples(
+        samples: Float32Array | Float32Array[],
+        sampleRate: number,
+        options: SampleDetectOptions & { regions: true }
+    ): Promise<DetectionResult | DetectionResult[]>;
+    detectFromSamples(
+        samples: Float32Array | Float32Array[],
+        sampleRate: number,
+        options?: SampleDetectOptions
+    ): Promise<SentenceSegment[] | SentenceSegment[][]>;
+
+    analyze(input: AudioInput, options?: BrowserAnalyzeOptions): Promise<Analysis>;
+    analyzeFromSamples(samples: Float32Array | Float32Array[], sampleRate: number, options?: SampleAnalyzeOptions): Promise<Analysis>;
+    segment(analysis: Analysis, options: SegmentOptions | undefined, resultOptions: SegmentResultOptions & { timeline: true }): DetectionResult | DetectionResult[];
+    segment(analysis: Analysis, options: SegmentOptions | undefined, resultOptions: SegmentResultOptions & { regions: true }): DetectionResult | DetectionResult[];
+    segment(analysis: Analysis, options?: SegmentOptions, resultOptions?: SegmentResultOptions): SentenceSegment[] | SentenceSegment[][];
+
+    split(input: AudioInput, options?: BrowserSplitOptions): Promise<SentenceClip[]>;
+    extractClips(audioData: AudioData, sentences: SentenceSegment[], options?: BrowserSplitOptions): SentenceClip[];
+
+    // Live detection on microphone or any other Web Audio input
+    createLiveDetector(source: MediaStream | AudioNode, options?: LiveDetectorOptions): Promise<LiveSentenceDetector>;
+
+    static LiveSentenceDetector: typeof LiveSentenceDetector;
+    static AudioSentenceDetectorError: typeof AudioSentenceDetectorError;
+    static AudioDecodeError: typeof AudioDecodeError;
+    static InvalidOptionError: typeof InvalidOptionError;
+    static AbortError: typeof AbortError;
+    static TimeoutError: typeof TimeoutError;
+    static evaluate(detected: TimedSegment[] | DetectionResult, reference: TimedSegment[] | DetectionResult, options?: EvaluateOptions): EvaluationResult;
+    static generateTestAudio(options?: TestAudioOptions): TestAudio;
+    static defaults: Readonly<ResolvedOptions>;
+    static presets: Record<string, Partial<ResolvedOptions>>;
+    static createHeuristicVAD(options?: HeuristicVADOptions): VoiceActivityDetector;
+    static createEnergyVAD(options?: EnergyVADOptions): VoiceActivityDetector;
+    static formatSentences(sentences: SentenceSegment[], format: SentenceFormat, options?: FormatOptions): string;
+    static parseSentences(text: string, format: SentenceFormat, options?: { frameRate?: number }): ParsedSentence[];
+}
+
+export function evaluate(detected: TimedSegment[] | DetectionResult, reference: TimedSegment[] | DetectionResult, options?: EvaluateOptions): EvaluationResult;
+export function generateTestAudio(options?: TestAudioOptions): TestAudio;
+export function createHeuristicVAD(options?: HeuristicVADOptions): VoiceActivityDetector;
+export function createEnergyVAD(options?: EnergyVADOptions): VoiceActivityDetector;
+export function formatSentences(sentences: SentenceSegment[], format: SentenceFormat, options?: FormatOptions): string;
+export function parseSentences(text: string, format: SentenceFormat, options?: { frameRate?: number }): ParsedSentence[];
@@ -1,16 +1,80 @@
 declare module 'audio-sentence-detector' {
+    import { Transform } from 'stream';
+
+    export type WindowFunction = 'hamming' | 'hann' | 'blackman';
+
+    export type ChannelMode = 'single' | 'mix' | 'maxEnergy' | 'perChannel';
+
+    export type PresetName = 'podcast' | 'phoneCall' | 'audiobook' | 'noisy';
+
     export interface AudioSentenceDetectorOptions {
+        // Named starting point; every other option given overrides it
+        preset?: PresetName | string;
+
         // Basic Sentence Detection Options
         minSilenceDuration?: number;
         silenceThreshold?: number;
+        adaptiveThreshold?: boolean;
+        noiseFloorPercentile?: number;
+        noiseFloorWindow?: number;
+        speechOnMargin?: number;
+        speechOffMargin?: number;
         minSentenceLength?: number;
         maxSentenceLength?: number;
         windowSize?: number;
+        // Samples between the starts of consecutive analysis windows (defaults to windowSize)
+        hopSize?: number;
+        windowFunction?: WindowFunction;
+        // Snap sentence starts/ends to the sample where the energy crosses the threshold
+        refineBoundaries?: boolean;
+
+        // Preprocessing Options
+        dcRemoval?: boolean;
+        // Cutoff of a high-pass filter in Hz (0 = off)
+        highPassFrequency?: number;
+        // Pre-emphasis coefficient, e.g. 0.97 (0 = off)
+        preEmphasis?: number;
+        noiseReduction?: boolean;
+        // Samples of noise alone; learned from the quietest frames when null
+        noiseProfile?: Float32Array | number[] | null;
+        // Gated RMS level in dBFS the recording is scaled to (null = off)
+        loudnessTarget?: number | null;
+
+        // Worker threads analysing recordings longer than workerChunkDuration seconds (0 = off)
+        workers?: number;
+        workerChunkDuration?: number;
         idealSentenceLength?: number;
         idealSilenceDuration?: number;
         allowGaps?: boolean;
         minSegmentLength?: number;
         alignToAudioBoundaries?: boolean;
+        minProbability?: number;
+        // Silent regions less than this many seconds apart are merged into one
+        regionMergeGap?: number;
+        // Seconds added before/after every sentence, clamped to the audio and to maxSentenceLength
+        // (split()'s padBefore/padAfter add to these)
+        padStart?: number;
+        padEnd?: number;
+        // Run on every sentence in order, after all other processing
+        rules?: SentenceRule[];
+
+        // Channel Options
+        channelMode?: ChannelMode;
+        channel?: number;
+
+        // Speaker Options
+        speakerDetection?: boolean;
+        maxSpeakers?: number;
+        minSpeakerTurnDuration?: number;
+
+        // Boundary Options
+        boundaryStrategy?: 'silence' | 'prosody';
+        prosodyThreshold?: number;
+
+        // Sound Classification Options
+        soundClassification?: boolean;
+        // 'exclude' treats music and noise lasting 1.5 s or more as silence, so they never become sentences
+        nonSpeech?: 'keep' | 'exclude';
 
         // Voice Detection Options
         fundamentalFreqMin?: number;
@@ -22,15 +86,121 @@ declare module 'audio-sentence-detector' {
         formantEmphasis?: number;
         zeroCrossingRateThreshold?: number;
 
+        // Voice Activity Detector Options
+        vad?: VoiceActivityDetector | VADFunction;
+        // Weights of the built-in heuristic: zcr, centroid, formants, energy
+        vadWeights?: [number, number, number, number];
+        vadThreshold?: number;
+
         // Debug Option
         debug?: boolean;
     }
 
+    export interface VADFrame {
+        samples: Float32Array;
+        sampleRate: number;
+        // Start of the frame in seconds
+        time: number;
+        rms: number;
+        zcr: number;
+        spectralCentroid: number;
+        formantScores: number[];
+        voiceBandEnergy: number;
+    }
+
+    // Returns the probability (0-1) that the frame contains voice
+    export type VADFunction = (frame: VADFrame) => number;
+
+    export interface VoiceActivityDetector {
+        name?: string;
+        process(frame: VADFrame): number;
+        // Called before every detection run
+        reset?(): void;
+    }
+
+    export interface HeuristicVADOptions {
+        weights?: [number, number, number, number];
+        zeroCrossingRateThreshold?: number;
+        voiceActivityThreshold?: number;
+        debug?: boolean;
+    }
+
+    export interface EnergyVADOptions {
+        // Levels in dBFS mapped to probability 0 and 1
+        floor?: number;
+        ceiling?: number;
+    }
+
+    // Options after defaults and presets are applied, as found on detector.options
+    export type ResolvedOptions = Required<Omit<AudioSentenceDetectorOptions, 'preset' | 'vad' | 'debug'>>;
+
     export interface SilentRegion {
         start: number;
         end: number;
         duration: number;
         avgRMS: number;
+        // Set by the 'prosody' boundary strategy (0-1, higher = more likely a sentence end)
+        boundaryScore?: number;
+    }
+
+    export interface SilenceState {
+        sampleRate: number;
+        smoothingBufferSize: number;
+        voiceActivityBuffer: boolean[];
+        currentSilenceStart: number | null;
+        maxRMSInSilence: number;
+        regions: SilentRegion[];
+        frameRMS: number[];
+        frameVoice: boolean[];
+        frameFeatures: (FrameFeatures | null)[];
+        frameF0: number[];
+        noiseHistory: number[];
+        sortedNoiseHistory: number[];
+        noiseHistorySize: number;
+        noiseFloor: number;
+        aboveNoiseFloor: boolean;
+        frameNoiseFloor: number[];
+        timeline: TimelineFrame[] | null;
+        // Set when soundClassification is enabled or nonSpeech is 'exclude'
+        classifier: SoundClassifier | null;
+        frameClasses: SoundClass[];
+        // Set when nonSpeech is 'exclude'
+        nonSpeech: NonSpeechTracker | null;
+    }
+
+    export type SoundClass = 'speech' | 'music' | 'noise' | 'silence';
+
+    export interface SoundClassifier {
+        process(features: {
+            rms: number;
+            isQuiet: boolean;
+            isVoice: boolean;
+            spectralFlatness: number;
+            harmonicity: number;
+            harmonicPitch: number;
+        }): { soundClass: SoundClass; musicScore: number };
+    }
+
+    // Runs of music and noise long enough for nonSpeech: 'exclude'
+    export interface NonSpeechTracker {
+        // First frame of a run that is not long enough yet, or null
+        readonly pendingStart: number | null;
+        // reopenFrom is the first frame of the run on the frame that confirms it
+        process(soundClass: SoundClass): { excluded: boolean; reopenFrom: number | null };
+    }
+
+    export interface SoundRegion {
+        type: Exclude<SoundClass, 'silence'>;
+        start: number;
+        end: number;
+        duration: number;
+    }
+
+    // A Web Audio AudioBuffer or anything shaped like one
+    export interface AudioBufferLike {
+        numberOfChannels: number;
+        sampleRate: number;
+        getChannelData(channel: number): Float32Array;
     }
 
     export interface AudioData {
@@ -40,29 +210,531 @@ declare module 'audio-sentence-detector' {
     }
 
     export interface SentenceSegment {
+        // Position in the result, counting from 0
         index: number;
         start: number;
         end: number;
         duration: number;
         probability: number;
+        // Set when speakerDetection is enabled; null when no voiced frames were found
+        speaker?: string | null;
+        // Mean estimated noise floor (RMS) over the sentence, set when adaptiveThreshold is enabled
+        noiseFloor?: number;
+        // Most frequent non-silent class over the sentence, set when sound classification is on
+        soundClass?: SoundClass;
+    }
+
+    export interface SentenceRuleContext {
+        // Index the sentence gets if it is kept
+        index: number;
+        // The last sentence kept
+        previous: SentenceSegment | null;
+    }
+
+    // Returns a sentence to replace this one with, null or false to drop it, or nothing to keep it
+    export type SentenceRule = (sentence: SentenceSegment, context: SentenceRuleContext) => SentenceSegment | null | false | void;
+
+    export interface SpectrumFeatures {
+        zcr: number;
+        spectralCentroid: number;
+        formantScores: number[];
+        voiceBandEnergy: number;
+        pitch?: number;
+        // Only set by parallel analysis and analyze(), which estimate f0 for every frame
+        f0?: number;
+        // Set when sound classification is on
+        spectralFlatness?: number;
+        harmonicity?: number;
+        harmonicPitch?: number;
+        // Only set when segmenting an Analysis; replaces the voice activity detector
+        voiceScore?: number;
+    }
+
+    // Per-frame analysis results produced by worker threads, one column per feature
+    export interface FrameAnalysisColumns {
+        frameCount: number;
+        rms: Float64Array;
+        zcr: Float64Array;
+        spectralCentroid: Float64Array;
+        voiceBandEnergy: Float64Array;
+        formantCount: number;
+        formantScores: Float64Array;
+        pitch: Float64Array | null;
+        f0: Float64Array | null;
+        spectralFlatness: Float64Array | null;
+        harmonicity: Float64Array | null;
+        harmonicPitch: Float64Array | null;
+    }
+
+    export interface FrameFeatures {
+        zcr: number;
+        spectralCentroid: number;
+        formantScores: number[];
+        voiceBandEnergy: number;
+        voiceScore: number;
+        isVoice: boolean;
+        pitch?: number;
+        f0?: number;
+        spectralFlatness?: number;
+        harmonicity?: number;
+        harmonicPitch?: number;
+    }
+
+    export interface TimelineFrame extends FrameFeatures {
+        // Start of the analysis window in seconds
+        time: number;
+        rms: number;
+        isSmoothedVoice: boolean;
+        isQuiet: boolean;
+        // A silence is open after this frame
+        inSilence: boolean;
+        // Set when adaptiveThreshold is enabled
+        noiseFloor?: number;
+        // Set when sound classification is on
+        soundClass?: SoundClass;
+    }
+
+    // Options an Analysis was made with; segment() cannot change them
+    export type AnalysisOptions = Pick<ResolvedOptions,
+        | 'windowSize' | 'hopSize' | 'windowFunction'
+        | 'dcRemoval' | 'highPassFrequency' | 'preEmphasis' | 'noiseReduction' | 'loudnessTarget'
+        | 'fundamentalFreqMin' | 'fundamentalFreqMax' | 'formantFreqRanges'
+        | 'voiceActivityThreshold' | 'zeroCrossingRateThreshold' | 'vadWeights'
+        | 'channelMode' | 'channel'
+    > & { noiseProfile: number[] | null };
+
+    // Frame features of one (selected or mixed) channel, as plain arrays
+    export interface AnalysisChannel {
+        // Samples in the channel
+        length: number;
+        frameCount: number;
+        rms: number[];
+        zcr: number[];
+        spectralCentroid: number[];
+        voiceBandEnergy: number[];
+        formantCount: number;
+        // formantCount scores per frame, frame after frame
+        formantScores: number[];
+        voiceScore: number[];
+        // Only when analysed with speakerDetection
+        pitch: number[] | null;
+        // Only when analysed with boundaryStrategy 'prosody'
+        f0: number[] | null;
+        // Only when analysed with sound classification
+        spectralFlatness: number[] | null;
+        harmonicity: number[] | null;
+        harmonicPitch: number[] | null;
+    }
+
+    // Result of analyze(); survives JSON.stringify() and JSON.parse()
+    export interface Analysis {
+        version: 1;
+        sampleRate: number;
+        options: AnalysisOptions;
+        // One entry per channel with channelMode 'perChannel', otherwise one
+        channels: AnalysisChannel[];
+    }
+
+    // Any option except those an Analysis fixes, which may only be repeated unchanged
+    export type SegmentOptions = Omit<AudioSentenceDetectorOptions, 'preset' | 'vad'>;
+
+    export interface SegmentResultOptions {
+        timeline?: boolean;
+        regions?: boolean;
+    }
+
+    export interface DetectionResult {
+        sentences: SentenceSegment[];
+        // Every merged silent region found
+        silentRegions: SilentRegion[];
+        // Regions actually used as sentence boundaries
+        boundaryRegions: SilentRegion[];
+        // Only with the timeline option
+        timeline?: TimelineFrame[];
+        // Only when sound classification is on
+        soundRegions?: SoundRegion[];
+    }
+
+    export type PCMFormat =
+        | 'u8' | 's8'
+        | 's16le' | 's16be'
+        | 's24le' | 's24be'
+        | 's32le' | 's32be'
+        | 'f32le' | 'f32be'
+        | 'f64le' | 'f64be'
+        | 'alaw' | 'mulaw';
+
+    export interface PCMOptions {
+        sampleRate: number;
+        format?: PCMFormat;
+        channels?: number;
+    }
+
+    export interface SampleDetectOptions {
+        // Resolve to a DetectionResult with per-frame analysis instead of a sentence list
+        timeline?: boolean;
+        // Resolve to a DetectionResult without the timeline, e.g. to get soundRegions
+        regions?: boolean;
+        // Rejects with an AbortError once aborted
+        signal?: AbortSignal;
+        // Called with the analysed fraction (0-1) and the position in seconds
+        onProgress?: (fraction: number, currentTime: number) => void;
+        // Milliseconds before rejecting with a TimeoutError
+        timeout?: number;
+    }
+
+    export interface DetectOptions extends SampleDetectOptions {
+        // Treat the input as headerless PCM instead of an encoded file
+        pcm?: PCMOptions;
+    }
+
+    export type SampleAnalyzeOptions = Omit<SampleDetectOptions, 'timeline' | 'regions'>;
+    export type AnalyzeOptions = Omit<DetectOptions, 'timeline' | 'regions'>;
+
+    export interface DetectionControl {
+        throwIfAborted(): void;
+        section(index: number, count: number): void;
+        report(fraction: number, currentTime: number): void;
+        shouldYield(): boolean;
+        pause(fraction: number, currentTime: number): Promise<void>;
+        onAbort(callback: (error: AbortError) => void): () => void;
+        run<T>(task: () => Promise<T>): Promise<T>;
+    }
+
+    export interface StreamOptions {
+        sampleRate: number;
+        // Sample format of Buffer chunks (Float32Array chunks are used as-is)
+        format?: PCMFormat;
+    }
+
+    export class AudioSentenceDetectorError extends Error {}
+
+    export class AudioDecodeError extends AudioSentenceDetectorError {
+        // RIFF chunk id the problem was found in, e.g. 'fmt ' or 'data'
+        chunk: string | null;
+        constructor(message: string, chunk?: string | null);
+    }
+
+    export class InvalidOptionError extends AudioSentenceDetectorError {
+        // Name of the offending option
+        option: string;
+        value: unknown;
+        constructor(option: string, value: unknown, expected: string | null, message?: string | null);
+    }
+
+    export class AbortError extends AudioSentenceDetectorError {
+        // Value passed to AbortController.abort(), if any
+        reason: unknown;
+        constructor(message: string, reason?: unknown);
+    }
+
+    export class TimeoutError extends AbortError {
+        timeout: number;
+        constructor(timeout: number);
+    }
+
+    export class SentenceStream extends Transform {
+        constructor(detector: AudioSentenceDetector, options: StreamOptions);
+
+        on(event: 'sentence' | 'data', listener: (sentence: SentenceSegment) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    export interface SplitOptions extends DetectOptions {
+        // Seconds of audio kept before/after each sentence (clamped to the file), on top of padStart/padEnd
+        padBefore?: number;
+        padAfter?: number;
+        // Linear fade lengths in seconds
+        fadeIn?: number;
+        fadeOut?: number;
+        // Attach an encoded WAV buffer to every clip
+        encode?: boolean;
+        bitDepth?: 8 | 16 | 24 | 32;
+        // Write clips as WAV files into this directory
+        outputDir?: string;
+        // File name template with {number}, {index} and {channel} placeholders
+        filename?: string;
+    }
+
+    export interface SentenceClip {
+        index: number;
+        sentence: SentenceSegment;
+        start: number;
+        end: number;
+        duration: number;
+        sampleRate: number;
+        channels: number;
+        channelData: Float32Array[];
+        // Source channel when channelMode is 'perChannel'
+        channel?: number;
+        wav?: Buffer;
+        path?: string;
+    }
+
+    export type SentenceFormat = 'srt' | 'vtt' | 'audacity' | 'csv' | 'edl' | 'json';
+
+    export interface FormatOptions {
+        // Decimal digits kept for timestamps (SRT/WebVTT are limited to milliseconds)
+        precision?: number;
+        // Cue text: template with {index}, {number} and {speaker} placeholders, or a function
+        text?: string | ((sentence: SentenceSegment, position: number) => string);
+        // CSV only: columns to write
+        columns?: string[];
+        // EDL only; a whole number (no drop-frame timecode)
+        frameRate?: number;
+        reel?: string;
+        title?: string;
+        // JSON only: indentation passed to JSON.stringify
+        indent?: number;
+    }
+
+    export interface BoundaryScore {
+        precision: number;
+        recall: number;
+        f1: number;
+        matched: number;
+        detected: number;
+        reference: number;
+        // Mean distance of matched boundaries in seconds
+        meanError: number;
+    }
+
+    export interface EvaluationResult {
+        tolerance: number;
+        boundaries: BoundaryScore;
+        starts: BoundaryScore;
+        ends: BoundaryScore;
+        meanIoU: number;
+        speechIoU: number;
+        segments: {
+            detected: number;
+            reference: number;
+            missed: number;
+            falseAlarms: number;
+            overSegmented: number;
+            extraSegments: number;
+            underSegmented: number;
+            mergedSegments: number;
+        };
+    }
+
+    export interface EvaluateOptions {
+        // Seconds a boundary may be off and still match (default 0.2)
+        tolerance?: number;
+    }
+
+    export interface LoadReferenceOptions {
+        // Taken from the file extension when omitted
+        format?: SentenceFormat;
+        frameRate?: number;
+    }
+
+    export type TestAudioSegment =
+        | { type: 'speech'; duration: number; pitch?: number; amplitude?: number; glide?: number; consonants?: boolean }
+        | { type: 'pause'; duration: number }
+        | { type: 'tone'; duration: number; frequency?: number; amplitude?: number }
+        | { type: 'music'; duration: number; tempo?: number; amplitude?: number }
+        | { type: 'noise'; duration: number; amplitude?: number };
+
+    export interface TestAudioOptions {
+        sampleRate?: number;
+        seed?: number;
+        // RMS of white noise added under the whole recording
+        noiseLevel?: number;
+        segments?: TestAudioSegment[];
+    }
+
+    export interface TestAudio {
+        samples: Float32Array;
+        sampleRate: number;
+        // One sentence per speech segment
+        reference: ParsedSentence[];
+    }
+
+    export interface TimedSegment {
+        start: number;
+        end: number;
+    }
+
+    export interface ParsedSentence {
+        index: number;
+        start: number;
+        end: number;
+        duration: number;
+        text?: string;
+        [key: string]: unknown;
     }
 
     export default class AudioSentenceDetector {
         constructor(options?: AudioSentenceDetectorOptions);
+        options: ResolvedOptions;
+
+        // Voice activity detector in use (the built-in heuristic unless `vad` was given)
+        vad: VoiceActivityDetector;
         
         // Main detection method
-        detect(buffer: Buffer | ArrayBuffer): Promise<SentenceSegment[]>;
+        // Resolves to one sentence list per channel when channelMode is 'perChannel'
+        detect(buffer: Buffer | ArrayBuffer | AudioBufferLike, options: DetectOptions & { timeline: true }): Promise<DetectionResult | DetectionResult[]>;
+        detect(buffer: Buffer | ArrayBuffer | AudioBufferLike, options: DetectOptions & { regions: true }): Promise<DetectionResult | DetectionResult[]>;
+        detect(buffer: Buffer | ArrayBuffer | AudioBufferLike, options?: DetectOptions): Promise<SentenceSegment[] | SentenceSegment[][]>;
+        detectFromSamples(
+            samples: Float32Array | Float32Array[],
+            sampleRate: number,
+            options: SampleDetectOptions & { timeline: true }
+        ): Promise<DetectionResult | DetectionResult[]>;
+        detectFromSamples(
+            samples: Float32Array | Float32Array[],
+            sampleRate: number,
+            options: SampleDetectOptions & { regions: true }
+        ): Promise<DetectionResult | DetectionResult[]>;
+        detectFromSamples(
+            samples: Float32Array | Float32Array[],
+            sampleRate: number,
+            options?: SampleDetectOptions
+        ): Promise<SentenceSegment[] | SentenceSegment[][]>;
+
+        // Frame analysis cached for segment(), which then re-detects with other options without the audio
+        analyze(buffer: Buffer | ArrayBuffer | AudioBufferLike, options?: AnalyzeOptions): Promise<Analysis>;
+        analyzeFromSamples(samples: Float32Array | Float32Array[], sampleRate: number, options?: SampleAnalyzeOptions): Promise<Analysis>;
+        segment(analysis: Analysis, options: SegmentOptions | undefined, resultOptions: SegmentResultOptions & { timeline: true }): DetectionResult | DetectionResult[];
+        segment(analysis: Analysis, options: SegmentOptions | undefined, resultOptions: SegmentResultOptions & { regions: true }): DetectionResult | DetectionResult[];
+        segment(analysis: Analysis, options?: SegmentOptions, resultOptions?: SegmentResultOptions): SentenceSegment[] | SentenceSegment[][];
+
+        // Detection followed by cutting the audio into one clip per sentence
+        split(buffer: Buffer | ArrayBuffer | AudioBufferLike, options?: SplitOptions): Promise<SentenceClip[]>;
+        extractClips(audioData: AudioData, sentences: SentenceSegment[], options?: SplitOptions): SentenceClip[];
+
+        // Incremental detection over PCM chunks
+        createStream(options: StreamOptions): SentenceStream;
 
         // Core analysis methods
-        private getAudioData(buffer: Buffer | ArrayBuffer): Promise<AudioData>;
-        private detectSentences(audioData: Float32Array, sampleRate: number): Promise<SentenceSegment[]>;
-        private detectSilentRegions(audioData: Float32Array, sampleRate: number): SilentRegion[];
-        private findSentenceBoundaries(silentRegions: SilentRegion[], audioData: Float32Array, sampleRate: number): SentenceSegment[];
+        private getAudioData(buffer: Buffer | ArrayBuffer | AudioBufferLike, options?: DetectOptions): Promise<AudioData>;
+        private decodeAudio(buffer: Buffer | ArrayBuffer, options?: DetectOptions): Promise<AudioData>;
+        private decodeWithAudioContext(buffer: Buffer | ArrayBuffer): Promise<AudioData>;
+        private detectChannels(
+            channelData: Float32Array[],
+            sampleRate: number,
+            options?: SampleDetectOptions,
+            control?: DetectionControl | null
+        ): Promise<SentenceSegment[] | SentenceSegment[][] | DetectionResult | DetectionResult[]>;
+        private selectChannel(channelData: Float32Array[]): Float32Array;
+        private mixChannels(channelData: Float32Array[]): Float32Array;
+        private findMaxEnergyChannel(channelData: Float32Array[]): Float32Array;
+        private applyFades(samples: Float32Array, sampleRate: number, fadeIn: number, fadeOut: number): void;
+        private writeClips(clips: SentenceClip[], options: SplitOptions): Promise<SentenceClip[]>;
+        private wrapError(error: Error): Error;
+        private detectSentences(
+            audioData: Float32Array,
+            sampleRate: number,
+            options?: SampleDetectOptions,
+            control?: DetectionControl | null
+        ): Promise<SentenceSegment[] | DetectionResult>;
+        // Worker thread analysis when `workers` is set and the audio is long enough
+        private analyzeFrames(
+            audioData: Float32Array,
+            sampleRate: number,
+            control?: DetectionControl | null,
+            energy?: Float32Array
+        ): Promise<FrameAnalysisColumns | null>;
+        // The preprocessed samples the frame energy is measured on
+        private energySignal(audioData: Float32Array, sampleRate: number): Float32Array;
+        // Everything after the frame pass; without samples boundaries are not refined
+        private buildSentences(
+            silentRegions: SilentRegion[],
+            silenceState: SilenceState,
+            length: number,
+            options?: SegmentResultOptions,
+            samples?: Float32Array | null,
+            control?: DetectionControl | null
+        ): SentenceSegment[] | DetectionResult;
+        private analyzeChannels(channelData: Float32Array[], sampleRate: number, control?: DetectionControl | null): Promise<Analysis>;
+        private analyzeChannel(audioData: Float32Array, sampleRate: number, control?: DetectionControl | null): Promise<AnalysisChannel>;
+        private segmentChannel(channel: AnalysisChannel, sampleRate: number, options?: SegmentResultOptions): SentenceSegment[] | DetectionResult;
+        private detectSilentRegions(
+            audioData: Float32Array,
+            sampleRate: number,
+            state?: SilenceState,
+            analysis?: FrameAnalysisColumns | null,
+            control?: DetectionControl | null,
+            energy?: Float32Array
+        ): Promise<SilentRegion[]>;
+        private findSentenceBoundaries(
+            silentRegions: SilentRegion[],
+            totalDuration: number,
+            silenceState: SilenceState
+        ): SentenceSegment[];
+        private addSentencesBeforeRegion(
+            sentences: SentenceSegment[],
+            lastEnd: number,
+            region: SilentRegion,
+            nextRegion: SilentRegion | null,
+            silenceState: SilenceState
+        ): number;
+        private findSplitPoints(start: number, end: number, silenceState: SilenceState): number[];
+        private findBestCut(start: number, end: number, silenceState: SilenceState): number | null;
+        private addTrailingSentence(sentences: SentenceSegment[], lastEnd: number, totalDuration: number, silenceState: SilenceState): void;
+        private pushSentence(
+            sentences: SentenceSegment[],
+            start: number,
+            end: number,
+            silentRegion: SilentRegion | null,
+            silenceState: SilenceState
+        ): SentenceSegment;
+        private meetsMinProbability(sentence: SentenceSegment): boolean;
+
+        // Frame-by-frame silence tracking shared by batch and streaming detection
+        private createSilenceState(sampleRate: number): SilenceState;
+        private processSilenceFrame(
+            state: SilenceState,
+            // null when segmenting an Analysis, which always passes precomputed features
+            window: Float32Array | null,
+            position: number,
+            // Without a spectrum, the features are computed from the window
+            precomputed?: { rms: number; spectrum?: SpectrumFeatures } | null
+        ): void;
+        private recordTimelineFrame(
+            state: SilenceState,
+            position: number,
+            rms: number,
+            features: FrameFeatures,
+            isSmoothedVoice: boolean,
+            isQuiet: boolean,
+            soundClass?: SoundClass | null
+        ): void;
+        // Moves the start of the open silence back to `position`, taking back later silent regions
+        private reopenSilence(state: SilenceState, position: number): void;
+        private labelSoundClass(sentence: SentenceSegment, silenceState: SilenceState): void;
+        private getSoundRegions(silenceState: SilenceState, totalDuration: number): SoundRegion[];
+        private finishSilentRegions(state: SilenceState, totalLength: number): SilentRegion[];
+        private updateNoiseFloor(state: SilenceState, rms: number): boolean;
+        private getNoiseFloor(sentence: SentenceSegment, silenceState: SilenceState): number;
+        private getRefineMargins(silenceState: SilenceState): { before: number; after: number; envelope: number };
+        private refineSentence(
+            sentence: SentenceSegment,
+            samples: Float32Array,
+            offset: number,
+            totalLength: number,
+            minStart: number,
+            silenceState: SilenceState
+        ): SentenceSegment;
+        private calculateEnergyEnvelope(samples: Float32Array, from: number, to: number, length: number): Float32Array;
+        private getRefineThreshold(silenceState: SilenceState, sample: number, margin: number): number;
 
         // Voice detection methods
         private isVoiceSegment(buffer: Float32Array, sampleRate: number): boolean;
+        private calculateRMS(buffer: Float32Array): number;
+        private analyzeSpectrum(buffer: Float32Array, sampleRate: number): SpectrumFeatures;
+        private analyzeFrame(
+            buffer: Float32Array | null,
+            sampleRate: number,
+            time?: number,
+            rms?: number | null,
+            spectrum?: SpectrumFeatures
+        ): FrameFeatures;
         private calculateZeroCrossingRate(buffer: Float32Array): number;
         private calculateSpectralCentroid(magnitudes: Float32Array, sampleRate: number): number;
+        private calculateSpectralFlatness(magnitudes: Float32Array): number;
+        private calculateHarmonicity(magnitudes: Float32Array, sampleRate: number): { harmonicity: number; harmonicPitch: number };
         private detectFormants(magnitudes: Float32Array, sampleRate: number): number[];
         private calculateVoiceBandEnergy(magnitudes: Float32Array, sampleRate: number): number;
 
@@ -73,15 +745,51 @@ declare module 'audio-sentence-detector' {
         // Probability and analysis methods
         private calculateSentenceProbability(
             sentence: { start: number; end: number; duration: number },
-            audioData: Float32Array,
-            sampleRate: number,
+            silenceState: SilenceState,
             silentRegion: SilentRegion | null
         ): number;
-        private calculateEnergyContour(segment: Float32Array, sampleRate: number): number;
+        private calculateEnergyContour(rmsValues: number[]): number;
 
         // Segment merging methods
+        private selectBoundaryRegions(regions: SilentRegion[], silenceState: SilenceState): SilentRegion[];
         private mergeCloseRegions(regions: SilentRegion[]): SilentRegion[];
         private mergeShortSegments(sentences: SentenceSegment[]): SentenceSegment[];
         private mergeSegmentGroup(segments: SentenceSegment[]): SentenceSegment | null;
+
+        static AudioSentenceDetectorError: typeof AudioSentenceDetectorError;
+        static AudioDecodeError: typeof AudioDecodeError;
+        static InvalidOptionError: typeof InvalidOptionError;
+        static AbortError: typeof AbortError;
+        static TimeoutError: typeof TimeoutError;
+
+        // Default option values and the named presets (add entries to define new presets)
+        static evaluate(detected: TimedSegment[] | DetectionResult, reference: TimedSegment[] | DetectionResult, options?: EvaluateOptions): EvaluationResult;
+        static loadReference(file: string, options?: LoadReferenceOptions): Promise<ParsedSentence[]>;
+        static generateTestAudio(options?: TestAudioOptions): TestAudio;
+        static defaults: Readonly<ResolvedOptions>;
+        static presets: Record<string, Partial<ResolvedOptions>>;
+
+        // Built-in decoders
+        static decodeWav(buffer: Buffer | ArrayBuffer | ArrayBufferView): AudioData;
+        static decodePCM(buffer: Buffer | ArrayBuffer | ArrayBufferView, options: PCMOptions): AudioData;
+        static createHeuristicVAD(options?: HeuristicVADOptions): VoiceActivityDetector;
+        static createEnergyVAD(options?: EnergyVADOptions): VoiceActivityDetector;
+        static encodeWav(channelData: Float32Array[], sampleRate: number, options?: { bitDepth?: 8 | 16 | 24 | 32 }): Buffer;
+
+        // Export and import of sentence lists
+        static formatSentences(sentences: SentenceSegment[], format: SentenceFormat, options?: FormatOptions): string;
+        static parseSentences(text: string, format: SentenceFormat, options?: { frameRate?: number }): ParsedSentence[];
+        static formatSRT(sentences: SentenceSegment[], options?: FormatOptions): string;
+        static parseSRT(text: string): ParsedSentence[];
+        static formatVTT(sentences: SentenceSegment[], options?: FormatOptions): string;
+        static parseVTT(text: string): ParsedSentence[];
+        static formatAudacityLabels(sentences: SentenceSegment[], options?: FormatOptions): string;
+        static parseAudacityLabels(text: string): ParsedSentence[];
+        static formatCSV(sentences: SentenceSegment[], options?: FormatOptions): string;
+        static parseCSV(text: string): ParsedSentence[];
+        static formatEDL(sentences: SentenceSegment[], options?: FormatOptions): string;
+        static parseEDL(text: string, options?: { frameRate?: number }): ParsedSentence[];
+        static formatJSON(sentences: SentenceSegment[], options?: FormatOptions): string;
+        static parseJSON(text: string): ParsedSentence[];
     }
 }
\ No newline at end of file